@@ -25,17 +25,6 @@
 	let document = window.document;
 	const version = 'v2.0.0';
 
-	const CSRFToken = (() => {
-		const token = document.querySelector('meta[name="csrf_token"]')?.content;
-		
-		if (!token) {
-			console.error('CSRF Token not found in meta tags! <meta name="csrf_token" content="{{ csrf_token() }}">');
-			return false;
-		}
-
-		return token;
-	})();
-
 	/**
 	 * Sanitizes a given string by escaping HTML special characters.
 	 * Uses the browser's built-in option element to convert the string.
@@ -45,6 +34,30 @@
 	 */
 	const _sanitize = str => new Option(str).innerHTML;
 
+	/**
+	 * Creates a typed request error.
+	 *
+	 * The `type` property tells what went wrong:
+	 * - `network` - the request never reached the server (DNS failure, CORS, offline).
+	 * - `timeout` - the request exceeded its timeout.
+	 * - `abort` - the request was cancelled through an AbortSignal.
+	 * - `http` - the server responded with a non-2xx status.
+	 * - `parse` - the response body could not be parsed.
+	 * - `server-fatal` - the response body contains a server-side fatal error.
+	 * - `request` - a request or response interceptor threw, or the body could not be encoded.
+	 *
+	 * @param {string} type - The error type.
+	 * @param {string} message - The error message.
+	 * @param {object} [details] - Additional details.
+	 * @param {number} [details.status=0] - The HTTP status, or 0 when no response was received.
+	 * @param {*} [details.data=null] - The parsed response body.
+	 * @param {*} [details.errors=null] - The validation errors returned by the server.
+	 * @param {Error} [details.cause] - The original error.
+	 * @returns {Error} The error, with `name` set to 'RequestError'.
+	 */
+	const _requestError = (type, message, { status = 0, data = null, errors = null, cause } = {}) =>
+		Object.assign(new Error(message, { cause }), { name: 'RequestError', type, status, data, errors });
+
 	/**
 	 * Calculates the absolute difference between two dates in days.
 	 *
@@ -107,6 +120,106 @@
 		document.cookie = `${key}=${value}; expires=${expires}; path=/`;
 	};
 
+	/**
+	 * Manages the CSRF token sent with every non-GET request.
+	 *
+	 * The token is read from a meta tag, or from a cookie when `cookieName` is set. It can be replaced with `set`,
+	 * re-read or re-fetched from a refresh endpoint with `refresh`, and captured from a response header when
+	 * `responseHeader` is set. `http` refreshes the token and retries once when a request fails with one of the
+	 * `refreshStatuses`.
+	 */
+	const csrf = (() => {
+		const _options = {
+			metaName: 'csrf_token',
+			cookieName: null,
+			headerName: 'X-CSRF-TOKEN',
+			fieldName: 'csrf_token',
+			responseHeader: null,
+			refreshUrl: null,
+			refreshStatuses: [419, 403],
+			extract: (data) => typeof data === 'string' ? data.trim() : data?.token ?? data?.csrf_token ?? null
+		};
+
+		let _token = null;
+		let _refreshing = null;
+
+		/**
+		 * Reads the token from the meta tag, or from the cookie when `cookieName` is set.
+		 * @returns {string|null} The token, or null if it was not found.
+		 */
+		const read = () => {
+			const token = document.querySelector(`meta[name="${_options.metaName}"]`)?.content ||
+				(_options.cookieName ? decodeURIComponent(getCookie(_options.cookieName)) : '');
+
+			_token = token || null;
+			return _token;
+		};
+
+		/**
+		 * Replaces the token, and updates the meta tag and hidden form fields that hold it.
+		 * @param {string} token - The new token.
+		 */
+		const set = (token) => {
+			_token = token || null;
+			if (!_token) return;
+
+			document.querySelector(`meta[name="${_options.metaName}"]`)?.setAttribute('content', _token);
+			document.querySelectorAll(`input[type="hidden"][name="${_options.fieldName}"]`).forEach(input => (input.value = _token));
+		};
+
+		/**
+		 * Gets a fresh token from `refreshUrl`, or re-reads it from the page when no endpoint is configured.
+		 * Concurrent calls share the same refresh.
+		 * @returns {Promise<string|null>} The token.
+		 */
+		const refresh = () => {
+			_refreshing = _refreshing || (async () => {
+				if (!_options.refreshUrl) return read();
+
+				const { success, data, headers } = await http.get(_options.refreshUrl, { cache: false, dedupe: false });
+				const token = (_options.responseHeader && headers?.get(_options.responseHeader)) || (success ? _options.extract(data) : null);
+
+				if (token) set(token);
+				return _token;
+			})().finally(() => (_refreshing = null));
+
+			return _refreshing;
+		};
+
+		/**
+		 * Stores the token of a response that carries a rotated token in `responseHeader`.
+		 * @param {Headers|null} headers - The response headers.
+		 */
+		const capture = (headers) => {
+			const token = _options.responseHeader && headers?.get(_options.responseHeader);
+			if (token && token !== _token) set(token);
+		};
+
+		/**
+		 * Changes the options and re-reads the token.
+		 * @param {object} options - { metaName, cookieName, headerName, fieldName, responseHeader, refreshUrl, refreshStatuses, extract }
+		 * @returns {string|null} The token.
+		 */
+		const configure = (options = {}) => {
+			Object.assign(_options, options);
+			return read();
+		};
+
+		if (!read()) console.error(`CSRF Token not found in meta tags! <meta name="${_options.metaName}" content="{{ csrf_token() }}">`);
+
+		return {
+			get: () => _token,
+			set,
+			read,
+			refresh,
+			capture,
+			configure,
+			headerName: () => _options.headerName,
+			fieldName: () => _options.fieldName,
+			isMismatch: (status) => _options.refreshStatuses.includes(status)
+		};
+	})();
+
 	/**
 	 * Formats a given timestamp into a human-readable string.
 	 *
@@ -147,12 +260,43 @@
 		}
 	};
 
+	// The dirty checks registered by `formGuard`, consulted by `redirect` and `history.goBack`.
+	const _navigationGuards = new Set();
+	let _navigationConfirmed = false;
+
+	/**
+	 * Asks for confirmation before navigating away from a modified form.
+	 *
+	 * @param {function} proceed - Navigates once the user confirms
+	 * @returns {boolean} Whether the navigation was intercepted
+	 */
+	const _guardNavigation = (proceed) => {
+		const guard = [..._navigationGuards].find(guard => guard.isDirty());
+		if (!guard) return false;
+
+		Promise.resolve(guard.confirm(guard.message)).then(confirmed => confirmed && proceed());
+		return true;
+	};
+
 	/**
 	 * Redirects the browser to a given URL.
 	 *
+	 * When a form guarded by `formGuard` has unsaved changes, the user is asked to confirm first.
+	 *
 	 * @param {string} url - The URL to redirect to
+	 * @param {object} [options] - The redirect options
+	 * @param {boolean} [options.force=false] - Whether to redirect without asking for confirmation
 	 */
-	const redirect = (url) => {
+	const redirect = (url, { force = false } = {}) => {
+		if (!force && _guardNavigation(() => redirect(url, { force: true }))) return;
+
+		// The user has already confirmed, so the beforeunload prompt must not ask again. The navigation may not
+		// unload the page (a hash change, a download, a 204 response), so the confirmation only lasts a moment.
+		if (force) {
+			_navigationConfirmed = true;
+			setTimeout(() => (_navigationConfirmed = false), 1000);
+		}
+
 		alert.loader('Redirecting...');
 		window.location = url;
 	};
@@ -292,44 +436,177 @@
 		return num.toString();
 	};
 
+	/**
+	 * Retries an asynchronous function until it resolves or the maximum number of attempts is reached.
+	 *
+	 * The delay between attempts grows linearly when `backoff` is true (delay * attempt), exponentially
+	 * when `backoff` is 'exponential' (delay * 2^(attempt - 1)), and stays constant when `backoff` is false.
+	 * `jitter` randomly shortens each delay by up to the given fraction so concurrent clients do not retry in lockstep.
+	 * If the thrown error has a `retryAfter` property (in milliseconds), the delay is never shorter than it.
+	 * A `retryAfter` longer than `maxDelay` cannot be honored, so the error is rethrown instead of retrying early.
+	 *
+	 * @param {function} fn - The async function to call. Receives the current attempt number (starting at 1).
+	 * @param {object} [options] - The retry options.
+	 * @param {number} [options.maxAttempts=3] - The maximum number of attempts.
+	 * @param {number} [options.delay=500] - The base delay between attempts in milliseconds.
+	 * @param {boolean|string} [options.backoff=true] - true for linear, 'exponential' for exponential, false for a constant delay.
+	 * @param {number} [options.jitter=0] - A fraction between 0 and 1 used to randomize the delay.
+	 * @param {number} [options.maxDelay=Infinity] - The upper bound of a single delay in milliseconds.
+	 * @param {function} [options.shouldRetry] - Called with (error, attempt). Returning false rethrows the error immediately.
+	 * @param {function} [options.onRetry] - Called with (error, attempt, delay) before waiting for the next attempt.
+	 * @returns {Promise<*>} The resolved value of `fn`.
+	 * @throws The last error thrown by `fn`.
+	 */
 	const retry = async function (fn, options = {}) {
 		const {
 			maxAttempts = 3,
 			delay = 500,
 			backoff = true,
+			jitter = 0,
+			maxDelay = Infinity,
+			shouldRetry = () => true,
 			onRetry = () => {}
 		} = options;
 
 		let attempt = 0;
 		while (attempt < maxAttempts) {
 			try {
-				return await fn();
+				return await fn(attempt + 1);
 			} catch (err) {
 				attempt++;
-				if (attempt >= maxAttempts) throw err;
+				if (attempt >= maxAttempts || shouldRetry(err, attempt) === false || err?.retryAfter > maxDelay) throw err;
 
-				onRetry(err, attempt);
-				await new Promise(res => setTimeout(res, backoff ? delay * attempt : delay));
+				const base = backoff === 'exponential' ? delay * 2 ** (attempt - 1) : backoff ? delay * attempt : delay;
+				const wait = Math.max(Math.min(base * (1 - jitter * Math.random()), maxDelay), err?.retryAfter || 0);
+
+				onRetry(err, attempt, wait);
+				await new Promise(res => setTimeout(res, wait));
 			}
 		}
 	};
 
+	/**
+	 * Escapes a value for a double-quoted attribute selector: `[name="${_escapeAttribute(name)}"]`.
+	 * Unlike `CSS.escape`, it works without the CSS Object Model (e.g. under jsdom).
+	 * @param {string} value - The attribute value.
+	 * @returns {string} The escaped value.
+	 */
+	const _escapeAttribute = (value) => String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ');
+
+	/**
+	 * Splits a field name in bracket notation into its segments: `items[0][qty]` → ['items', '0', 'qty'], `tags[]` → ['tags', ''].
+	 * @param {string} name - The field name.
+	 * @returns {Array<string>} The segments. An empty segment stands for `[]`.
+	 */
+	const _nameSegments = (name) =>
+		name.replace(/\]/g, '').split('[');
+
+	/**
+	 * Converts numeric strings to numbers and 'true'/'false' to booleans. Numbers with leading zeros
+	 * (zip codes, phone numbers) stay strings, so the conversion is lossless.
+	 * @param {*} value - The value.
+	 * @returns {*} The converted value.
+	 */
+	const _coerceValue = (value) => {
+		if (typeof value !== 'string') return value;
+		if (value === 'true' || value === 'false') return value === 'true';
+		return /^-?(0|[1-9]\d*)(\.\d+)?$/.test(value) ? Number(value) : value;
+	};
+
+	// Segments that would reach the prototype of the nested objects instead of creating a key.
+	const _unsafeSegments = ['__proto__', 'constructor', 'prototype'];
+
+	const _hasKey = (target, key) => Object.prototype.hasOwnProperty.call(target, key);
+
+	/**
+	 * Builds a nested object from [name, value] entries with bracket names.
+	 *
+	 * Numeric segments create arrays. A trailing `[]` appends to an array, and a `[]` in the middle starts a new
+	 * element once the current one already has the key (`contacts[][name]`, `contacts[][email]`, `contacts[][name]`, ...).
+	 * A name that repeats without `[]` (e.g. a multi-select) collects its values in an array.
+	 * Names with a `__proto__`, `constructor` or `prototype` segment are skipped.
+	 *
+	 * @param {Array<Array>} entries - The [name, value] entries.
+	 * @param {Set<string>} [arrayNames] - Names that always hold an array, even with a single value.
+	 * @returns {object} The nested object.
+	 */
+	const _nestEntries = (entries, arrayNames = new Set()) => entries.reduce((result, [name, value]) => {
+		const segments = _nameSegments(name);
+		if (segments.some(segment => _unsafeSegments.includes(segment))) return result;
+
+		let target = result;
+
+		segments.forEach((segment, index) => {
+			const isLast = index === segments.length - 1;
+			const next = segments[index + 1];
+			let key = segment;
+
+			if (segment === '' && Array.isArray(target)) {
+				const current = target[target.length - 1];
+				key = isLast || !current || _hasKey(current, next) ? target.length : target.length - 1;
+			}
+
+			if (isLast) {
+				if (arrayNames.has(name)) target[key] = [].concat(_hasKey(target, key) ? target[key] : [], value);
+				else target[key] = _hasKey(target, key) && segment !== '' ? [].concat(target[key], value) : value;
+				return;
+			}
+
+			if (typeof target[key] !== 'object' || target[key] === null) {
+				target[key] = next === '' || /^\d+$/.test(next) ? [] : {};
+			}
+			target = target[key];
+		});
+
+		return result;
+	}, {});
+
 	/**
 	 * Serializes a given input into a plain JavaScript object.
 	 *
-	 * This function accepts either a native FormData object, an array of objects
+	 * This function accepts a form element, a native FormData object, an array of objects
 	 * with 'name' and 'value' properties, or a regular object. It processes the input
 	 * to produce a plain JavaScript object with key-value pairs.
 	 *
+	 * - If the input is a form element, its FormData is serialized.
 	 * - If the input is a FormData object, it converts the entries to an object.
 	 * - If the input is an array, it reduces the array to an object using the 'name'
 	 *   and 'value' properties of each item.
 	 * - If the input is already a regular object, it is returned as is.
 	 *
-	 * @param {FormData|Array|object} formData - The input to serialize
+	 * With `nested`, bracket names become nested objects and arrays (`names[first]`, `tags[]`, `items[0][qty]`),
+	 * and repeated names keep every value. When a form is given, multi-selects and checkbox groups always give an
+	 * array, even with a single selected option. Without it, keys stay flat and the last value of a repeated name wins.
+	 *
+	 * @param {HTMLFormElement|FormData|Array|object} formData - The input to serialize
+	 * @param {object} [options] - The serialization options
+	 * @param {boolean} [options.nested=false] - Whether to build nested objects and arrays from bracket names
+	 * @param {boolean|function} [options.coerce=false] - true converts numeric strings to numbers and 'true'/'false' to booleans.
+	 *                                                    A function is called with (value, name) and returns the converted value
 	 * @returns {object} A plain JavaScript object containing the serialized data
 	 */
-	const serializeFormData = (formData) => {
+	const serializeFormData = (formData, { nested = false, coerce = false } = {}) => {
+		const arrayNames = new Set();
+		if (typeof HTMLFormElement !== 'undefined' && formData instanceof HTMLFormElement) {
+			// Multi-selects and checkbox groups hold an array however many options are selected. Names ending in `[]` already do.
+			const elements = [...formData.elements].filter(el => el.name && !el.name.endsWith('[]'));
+			const checkboxes = elements.filter(el => el.type === 'checkbox').map(el => el.name);
+			elements.filter(el => el.type === 'select-multiple').forEach(el => arrayNames.add(el.name));
+			checkboxes.filter((name, index) => checkboxes.indexOf(name) !== index).forEach(name => arrayNames.add(name));
+
+			formData = new FormData(formData);
+		}
+
+		if (nested || coerce) {
+			const entries = formData instanceof FormData ? [...formData.entries()]
+				: Array.isArray(formData) ? formData.map(({ name, value }) => [name, value])
+					: Object.entries(formData || {});
+			const convert = typeof coerce === 'function' ? coerce : coerce ? _coerceValue : (value) => value;
+			const converted = entries.map(([name, value]) => [name, convert(value, name)]);
+
+			return nested ? _nestEntries(converted, arrayNames) : Object.fromEntries(converted);
+		}
+
 		if (formData instanceof FormData) {
 			return Object.fromEntries(formData.entries());
 		} else if (Array.isArray(formData) && formData.every(item => typeof item === 'object' && item !== null && 'name' in item && 'value' in item)) {
@@ -347,6 +624,81 @@
 		return formData;
 	};
 
+	/**
+	 * Writes an object into the fields of a form: the inverse of `serializeFormData`.
+	 *
+	 * The data may be nested (`{ names: { first } }`, `{ tags: ['a', 'b'] }`, `{ items: [{ qty }] }`) or flat with the
+	 * field names as keys. Repeated unindexed names (`contacts[][email]`) take the element at their position.
+	 * Checkboxes are checked when their value is in the data (or the data is true), radios when it matches,
+	 * multi-selects select every listed option, and TomSelect and TinyMCE instances are updated through their API.
+	 * Fields missing from the data are left untouched, file inputs are skipped, and every filled field
+	 * dispatches a change event.
+	 *
+	 * @param {HTMLElement|string} form - The form (or any element containing fields), or its id (with or without '#')
+	 * @param {object} data - The values
+	 * @returns {HTMLElement|null} The form, or null if it is not found
+	 */
+	const fillForm = (form, data = {}) => {
+		if (typeof form === 'string') form = document.getElementById(form.replace('#', ''));
+
+		if (!form) {
+			console.error('Form not found!');
+			return null;
+		}
+
+		const occurrences = {};
+		const isGroup = (el) => ['checkbox', 'radio', 'select-multiple'].includes(el.type);
+
+		const valueOf = (el) => {
+			if (el.name in data) {
+				const value = data[el.name];
+				return Array.isArray(value) && el.name.includes('[]') && !isGroup(el) ? value[occurrences[el.name]] : value;
+			}
+
+			const segments = _nameSegments(el.name);
+			return segments.reduce((value, segment, index) => {
+				if (value === undefined || value === null) return undefined;
+				if (segment !== '') return value[segment];
+
+				// A trailing [] of a checkbox group or multi-select is the whole array.
+				return index === segments.length - 1 && isGroup(el) ? value : value[occurrences[el.name]];
+			}, data);
+		};
+
+		const fields = form.elements ? [...form.elements] : [...form.querySelectorAll('input, select, textarea')];
+
+		fields.forEach(el => {
+			if (!el.name || el.type === 'file' || ['submit', 'button', 'reset', 'image'].includes(el.type)) return;
+
+			occurrences[el.name] = occurrences[el.name] ?? -1;
+			if (!isGroup(el)) occurrences[el.name]++;
+
+			const value = valueOf(el);
+			if (value === undefined) return;
+
+			const values = [].concat(value ?? []).map(String);
+
+			if (el.type === 'checkbox') {
+				el.checked = typeof value === 'boolean' ? value : values.includes(el.value);
+			} else if (el.type === 'radio') {
+				el.checked = values.includes(el.value);
+			} else if (el.tomselect) {
+				const { valueField, labelField } = el.tomselect.settings;
+				values.filter(item => !el.tomselect.options[item]).forEach(item => el.tomselect.addOption({ [valueField]: item, [labelField]: item }));
+				el.tomselect.setValue(el.type === 'select-multiple' ? values : values[0] ?? '', true);
+			} else if (el.type === 'select-multiple') {
+				[...el.options].forEach(option => (option.selected = values.includes(option.value)));
+			} else {
+				el.value = value ?? '';
+				_fieldEditor(el)?.setContent(el.value);
+			}
+
+			el.dispatchEvent(new Event('change', { bubbles: true }));
+		});
+
+		return form;
+	};
+
 	/**
 	 * Returns a YouTube video object given a YouTube video URL.
 	 *
@@ -450,669 +802,3170 @@
 	};
 
 	/**
-	 * Makes a POST request to the given URL with the given data.
-	 * This function automatically sets the X-Requested-With header to 'XMLHttpRequest' and handles JSON responses.
-	 * The beforeSend callback is called before the request is sent.
-	 *
-	 * If the request returns a JSON response, the onSuccess callback is called with the parsed JSON.
-	 * If the request returns an HTML or text response, the onSuccess callback is called with the response text.
-	 *
-	 * If the request fails, the onError callback is called with the error message and the actual error object.
-	 *
-	 * The onComplete callback is called after the request has completed, regardless of success or failure.
-	 *
-	 * @param {string} url - The URL to make the request to
-	 * @param {(Array<{name: string, value: string}> | FormData | object | string)} data - The data to send in the request body
-	 * @param {object} [options] - Options for the request
-	 * @param {function} [options.onBeforeSend] - Called before the request is sent
-	 * @param {function} [options.onSuccess] - Called when the request returns a JSON response
-	 * @param {function} [options.onError] - Called when the request fails
-	 * @param {function} [options.onComplete] - Called after the request has completed
-	 * @param {boolean} [options.processData=true] - Whether to process the data before sending it
-	 * @param {string} [options.contentType='application/x-www-form-urlencoded; charset=UTF-8'] - The content type of the request
+	 * Provides access to the object stores of the library's IndexedDB database.
+	 * The database is opened on first use, and every store is created when the database is upgraded.
 	 */
-	const post = (url, data, {
-		onBeforeSend,
-		onSuccess,
-		onError,
-		onComplete,
-		contentType = 'application/x-www-form-urlencoded; charset=UTF-8'
-	} = {}) => {
+	const _indexedDB = (() => {
+		const _stores = {
+			offlineQueue: { keyPath: 'id', autoIncrement: true },
+			httpCache: { keyPath: 'key' }
+		};
 
-		if (onBeforeSend?.() === false) return;
+		let _db;
 
-		let headers = {
-			'X-Requested-With': 'XMLHttpRequest',
-			'X-CSRF-TOKEN': CSRFToken
-		};
+		const isAvailable = () => typeof indexedDB !== 'undefined';
 
-		let body = data;
+		const _open = () => {
+			_db = _db || new Promise((resolve, reject) => {
+				const request = indexedDB.open('eo-webkit', 2);
+				request.onupgradeneeded = () => {
+					Object.entries(_stores).forEach(([name, options]) => {
+						if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name, options);
+					});
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+			});
 
-		if (data instanceof FormData) {
-			body = data;
-		} else if (contentType.includes('application/json')) {
-			body = JSON.stringify(serializeFormData(data));
-			headers['Content-Type'] = contentType;
-		} else {
-			headers['Content-Type'] = contentType;
-			body = serializeFormData(data);
-			body = Object.keys(body).map(key => {
-				const value = body[key];
-				if (Array.isArray(value)) {
-					return value.map(item => `${encodeURIComponent(key + '[]')}=${encodeURIComponent(item)}`).join('&');
-				} else {
-					return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
-				}
-			}).join('&');
-		}
-		
+			return _db;
+		};
 
-		fetch(url, {
-			method: 'POST',
-			headers,
-			body,
-			credentials: 'same-origin',
-		})
-			.then(async response => {
-				return response.text().then(text => {
-					try {
-						return { data: JSON.parse(text), response };
-					} catch  {
-						return { data: text, response };
-					}
-				});
-			})
-			.then(({ data, response }) => {
-				if (!response.ok) {
-					const status = response.status;
-					const message = data?.message || `Request failed with status ${status}`;
-					const errors = data?.errors || data;
+		/**
+		 * Runs a single request against an object store.
+		 * @param {string} storeName - The name of the object store.
+		 * @param {string} mode - The transaction mode ('readonly' or 'readwrite').
+		 * @param {function} fn - Receives the object store and returns an IDBRequest.
+		 * @returns {Promise<*>} The result of the request.
+		 */
+		const request = async (storeName, mode, fn) => {
+			const db = await _open();
+			return new Promise((resolve, reject) => {
+				const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+				req.onsuccess = () => resolve(req.result);
+				req.onerror = () => reject(req.error);
+			});
+		};
 
-					onError?.(message, errors, status);
-					return;
-				}
-				
-				// Validate the content for potential fatal errors
-				if (typeof data === 'string' && (data.includes('Fatal error') || data.includes('ErrorException'))) {
-					throw new Error('Server encountered a fatal error: ' + data);
-				}
+		/**
+		 * Checks whether the database has been created, without opening (and so creating) it.
+		 * Resolves with false in browsers that cannot list their databases.
+		 * @returns {Promise<boolean>}
+		 */
+		const exists = async () => isAvailable() && typeof indexedDB.databases === 'function'
+			&& (await indexedDB.databases()).some(({ name }) => name === 'eo-webkit');
 
-				onSuccess?.(data);
-			})
-			.catch(error => {
-			})
-			.finally(onComplete);
-	};
+		return { isAvailable, exists, request };
+	})();
 
 	/**
-	 * Sends an asynchronous GET request to the specified URL with optional data.
-	 *
-	 * If `data` is a function, it is treated as the `success` callback, and `dataType` is optional.
-	 * If `data` is an object, it is converted to URL search parameters and appended to the URL.
-	 *
-	 * The function attempts to parse JSON responses if the `dataType` is 'json' or the response
-	 * Content-Type includes 'application/json'. Otherwise, it returns the response text.
-	 *
-	 * The `success` callback is invoked with the parsed result when the request is successful.
-	 *
-	 * If the request fails, the error is logged to the console and re-thrown.
+	 * Stores GET responses for `http` requests that use the `cache` option.
 	 *
-	 * @param {string} url - The URL to send the GET request to.
-	 * @param {object|function} data - Optional data to be sent as query parameters, or the success callback function.
-	 * @param {function} success - The callback function invoked with the response data on success.
-	 * @param {string} dataType - The type of data expected in the response ('json' or others).
-	 * @throws Will log an error to the console and re-throw if the request fails.
+	 * Entries are kept in memory by default, or in sessionStorage or IndexedDB when the cache policy asks for it.
+	 * Each entry key starts with the request URL including its query string, so entries can be invalidated by URL prefix.
 	 */
-	const get = async (url, data, success, dataType, options = {}) => {
-		if (typeof data === 'function') [success, dataType, options, data] = [data, success, options, undefined];
+	const httpCache = (() => {
+		const _sessionPrefix = 'eoHttpCache:';
+		const _memory = new Map();
+
+		const _stores = {
+			memory: {
+				get: async (key) => _memory.get(key),
+				set: async (entry) => _memory.set(entry.key, entry),
+				invalidate: async (prefix) => [..._memory.keys()]
+					.filter(key => key.startsWith(prefix))
+					.forEach(key => _memory.delete(key))
+			},
+			session: {
+				get: async (key) => JSON.parse(sessionStorage.getItem(_sessionPrefix + key)),
+				set: async (entry) => {
+					// Blobs cannot be serialized to JSON.
+					if (entry.data instanceof Blob) return;
+					sessionStorage.setItem(_sessionPrefix + entry.key, JSON.stringify(entry));
+				},
+				invalidate: async (prefix) => Object.keys(sessionStorage)
+					.filter(key => key.startsWith(_sessionPrefix + prefix))
+					.forEach(key => sessionStorage.removeItem(key))
+			},
+			indexeddb: {
+				get: (key) => _indexedDB.request('httpCache', 'readonly', store => store.get(key)),
+				set: (entry) => _indexedDB.request('httpCache', 'readwrite', store => store.put(entry)),
+				invalidate: (prefix) => _indexedDB.request('httpCache', 'readwrite', store => store.delete(IDBKeyRange.bound(prefix, prefix + '\uffff')))
+			}
+		};
 
-		if (data && typeof data === 'object' && Object.keys(data).length > 0) {
-			const params = new URLSearchParams(data).toString();
-			if (params) url += (url.includes('?') ? '&' : '?') + params;
-		}
+		/**
+		 * Returns the store for the given storage name.
+		 * Falls back to memory when the requested storage is not available in this browser.
+		 * @param {string} storage - 'memory', 'session' or 'indexeddb'.
+		 * @returns {object} The store.
+		 */
+		const _store = (storage) => {
+			if (storage === 'indexeddb' && _indexedDB.isAvailable()) return _stores.indexeddb;
+			if (storage === 'session' && typeof sessionStorage !== 'undefined') return _stores.session;
+			return _stores.memory;
+		};
 
-		const defaultHeaders = {
-			'Accept': dataType === 'json' ? 'application/json' :
-				dataType === 'blob' ? 'image/png' : 'text/html',
-			'X-Requested-With': 'XMLHttpRequest'
+		/**
+		 * Reads an entry. Storage errors are treated as a cache miss.
+		 * @param {string} key - The cache key.
+		 * @param {string} storage - The storage name.
+		 * @returns {Promise<object|null>} The entry, or null if there is none.
+		 */
+		const get = (key, storage) => _store(storage).get(key).then(entry => entry || null, () => null);
+
+		/**
+		 * Writes an entry. Storage errors (e.g. quota exceeded) are ignored.
+		 * @param {object} entry - The entry, keyed by `entry.key`.
+		 * @param {string} storage - The storage name.
+		 * @returns {Promise<void>}
+		 */
+		const set = (entry, storage) => _store(storage).set(entry).then(() => {}, () => {});
+
+		/**
+		 * Removes every entry whose key starts with one of the given prefixes, from every storage.
+		 * @param {string|string[]} prefixes - The URL prefixes to invalidate.
+		 * @returns {Promise<void>}
+		 */
+		const invalidate = async (prefixes) => {
+			const stores = [_stores.memory, _store('session'), _store('indexeddb')].filter((store, index, all) => all.indexOf(store) === index);
+
+			await Promise.all([].concat(prefixes).flatMap(prefix =>
+				stores.map(store => store.invalidate(prefix).catch(() => {}))
+			));
 		};
 
-		try {
-			const response = await fetch(url, {
-				method: 'GET',
-				headers: { ...defaultHeaders, ...(options.headers || {}) }
-			});
-			
-			const contentType = response.headers.get('Content-Type') || '';
-			const isJson = dataType === 'json' || contentType.includes('application/json');
-			const isBlob = dataType === 'blob' || contentType.includes('image/') || contentType.includes('application/octet-stream');
-			
-			let result;
-			if (response.status === 204) {
-				// No Content
-				result = null;
-			} else if (isBlob) {
-            	result = await response.blob();
-        	} else if (isJson) {
-				const text = await response.text();
-				result = text ? JSON.parse(text) : null;
-			} else {
-				result = await response.text();
-			}
-			
-			if (!response.ok) {
-				success?.(result, response);
-           		return { success: false, status: response.status, data: result };
-			}
-			
-			success?.(result, response);
-			return { success: true, status: response.status, data: result };
-			
-		} catch (error) {
-			console.error('Fetch Error:', error);
-			return { success: false, status: 0, data: null, error };
-		}
+		return {
+			get,
+			set,
+			invalidate,
+			clear: () => invalidate('')
+		};
+	})();
+
+	/**
+	 * The default retry policy of `http`. The retryable statuses are also used by `offlineQueue`
+	 * to decide whether a replayed entry should stay in the queue.
+	 */
+	const _retryDefaults = {
+		maxAttempts: 3,
+		delay: 300,
+		backoff: 'exponential',
+		jitter: 0.5,
+		maxDelay: 30000,
+		statuses: [429, 502, 503, 504],
+		idempotencyHeader: 'Idempotency-Key'
 	};
 
 	/**
-	 * Gets the user client information from local storage or fetches it from IPInfo and determines the browser.
-	 * @returns {object} The client information, with the following properties:
-	 * - `userAgent`: The user agent string
-	 * - `geo`: The geo information from IPInfo
-	 * - `browser`: The browser name
+	 * A promise-based HTTP client built on top of the Fetch API.
+	 *
+	 * Every request resolves with the same response shape regardless of the method used:
+	 * `{ success, status, data, headers, response, config, error }`.
+	 * Failed requests resolve with `success: false` and a typed `error` (see `_requestError`),
+	 * so callers never need a separate catch branch. `status` is 0 when no response was received.
+	 *
+	 * Request interceptors receive the request config and may return a modified config.
+	 * Response interceptors receive the response object and may return a modified response object.
+	 *
+	 * Requests go through a transport with the signature of `fetch(url, init)`. It can be replaced with
+	 * `setTransport`, e.g. with `createMockTransport()` in tests.
 	 */
-	const userClient = (() => {
-		const clientInfo = JSON.parse(localStorage.getItem('EOclient')) || {
-			userAgent: navigator.userAgent,
-			geo: null,
-			browser: null
+	const http = (() => {
+		const _defaults = {
+			headers: {},
+			timeout: 0,
+			credentials: 'same-origin',
+			contentType: 'application/x-www-form-urlencoded; charset=UTF-8',
+			responseType: 'auto',
+			retry: true,
+			cache: false,
+			dedupe: true,
+			priority: 'normal',
+			csrf: true
+		};
+
+		const _cacheDefaults = {
+			ttl: 60000,
+			staleWhileRevalidate: false,
+			storage: 'memory'
 		};
 
+		const _revalidating = new Map();
+		const _inflight = new Map();
+		const _priorities = { high: 10, normal: 0, low: -10 };
+
 		/**
-		 * Asynchronously retrieves the user's geographical information from the IPInfo service.
-		 * Updates the clientInfo object with the retrieved geo data and stores it in local storage.
-		 * In case of an error during the fetch process, logs an error message to the console.
-		 * @private
-		 * @throws Will log an error to the console if the request fails.
+		 * Limits the number of requests sent at the same time.
+		 * Waiting requests start by priority (highest first), then in the order they were queued.
 		 */
-		const _getGeoInfo = async () => {
+		const _limiter = (() => {
+			let _limit = Infinity;
+			let _active = 0;
+			const _queue = [];
+
+			const _next = () => {
+				while (_active < _limit && _queue.length) {
+					_active++;
+					_queue.shift().start();
+				}
+			};
+
+			/**
+			 * Waits for a free slot.
+			 * @param {number} priority - The priority of the request.
+			 * @param {AbortSignal} [signal] - Removes the request from the queue when aborted.
+			 * @returns {Promise<void>} Resolves when the request may start. Rejects if the signal is aborted first.
+			 */
+			const acquire = (priority, signal) => new Promise((resolve, reject) => {
+				if (signal?.aborted) return reject(signal.reason);
+
+				const onAbort = () => {
+					_queue.splice(_queue.indexOf(item), 1);
+					reject(signal.reason);
+				};
+
+				const item = {
+					priority,
+					start: () => {
+						signal?.removeEventListener('abort', onAbort);
+						resolve();
+					}
+				};
+
+				const index = _queue.findIndex(queued => queued.priority < priority);
+				_queue.splice(index === -1 ? _queue.length : index, 0, item);
+				signal?.addEventListener('abort', onAbort, { once: true });
+
+				_next();
+			});
+
+			const release = () => {
+				_active--;
+				_next();
+			};
+
+			return {
+				acquire,
+				release,
+				setLimit: (limit) => {
+					_limit = limit > 0 ? limit : Infinity;
+					_next();
+				},
+				stats: () => ({ active: _active, queued: _queue.length, limit: _limit })
+			};
+		})();
+
+		const _interceptors = { request: new Map(), response: new Map() };
+		let _interceptorId = 0;
+
+		const _fetchTransport = (url, init) => fetch(url, init);
+		let _transport = _fetchTransport;
+
+		const _bodylessMethods = ['GET', 'HEAD'];
+		const _idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+		/**
+		 * Appends the given params to the URL as a query string.
+		 * @param {string} url - The base URL.
+		 * @param {object} [params] - The query parameters.
+		 * @returns {string} The URL including the query string.
+		 */
+		const _buildUrl = (url, params) => {
+			if (!params || typeof params !== 'object' || Object.keys(params).length === 0) return url;
+
+			const query = new URLSearchParams(params).toString();
+			return query ? url + (url.includes('?') ? '&' : '?') + query : url;
+		};
+
+		/**
+		 * Deep-copies parsed response data. Falls back to a JSON round trip where `structuredClone` is not available
+		 * (older browsers, jsdom). Blobs are immutable and are shared as is.
+		 * @param {*} data - The parsed response data.
+		 * @returns {*} The copy.
+		 */
+		const _copyData = (data) => {
+			if (data === null || typeof data !== 'object' || data instanceof Blob) return data;
+			if (typeof structuredClone === 'function') return structuredClone(data);
+			return data instanceof ArrayBuffer ? data.slice(0) : JSON.parse(JSON.stringify(data));
+		};
+
+		/**
+		 * Serializes request headers into a key that does not depend on the order or case of their names.
+		 * @param {object} headers - The request headers.
+		 * @returns {string} The key.
+		 */
+		const _headersKey = (headers) => JSON.stringify(Object.entries(headers)
+			.map(([name, value]) => [name.toLowerCase(), String(value)])
+			.sort(([a], [b]) => a.localeCompare(b)));
+
+		/**
+		 * Encodes the request data according to the given content type.
+		 * FormData is sent as-is so the browser can set the multipart boundary.
+		 * @param {(Array<{name: string, value: string}> | FormData | object | string)} data - The data to encode.
+		 * @param {string|null} contentType - The content type of the request.
+		 * @param {object} headers - The request headers, updated with the Content-Type.
+		 * @returns {FormData|string|undefined} The encoded request body.
+		 */
+		const _encodeBody = (data, contentType, headers) => {
+			if (data === undefined || data === null) return undefined;
+			if (data instanceof FormData) return data;
+
+			if (contentType) headers['Content-Type'] = contentType;
+			if (typeof data === 'string') return data;
+			if (contentType?.includes('application/json')) return JSON.stringify(serializeFormData(data));
+
+			const body = serializeFormData(data);
+			return Object.keys(body).map(key => {
+				const value = body[key];
+				if (Array.isArray(value)) {
+					return value.map(item => `${encodeURIComponent(key + '[]')}=${encodeURIComponent(item)}`).join('&');
+				} else {
+					return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+				}
+			}).join('&');
+		};
+
+		/**
+		 * Parses the response body.
+		 *
+		 * - `auto` tries to parse the body as JSON and falls back to the raw text.
+		 * - `json` parses the body as JSON, an empty body resolves to null.
+		 * - `blob` returns the body as a Blob.
+		 * - `text` returns the raw text unless the Content-Type says otherwise.
+		 * - `stream` leaves the body of a successful response unread, so it can be consumed with `response.body`.
+		 *
+		 * @param {Response} response - The fetch response.
+		 * @param {string} responseType - One of 'auto', 'json', 'text', 'blob' or 'stream'.
+		 * @returns {Promise<*>} The parsed response body.
+		 */
+		const _parseResponse = async (response, responseType) => {
+			if (response.status === 204 || (responseType === 'stream' && response.ok)) return null;
+
+			const contentType = response.headers.get('Content-Type') || '';
+			const isBlob = responseType === 'blob' ||
+				(responseType !== 'auto' && (contentType.includes('image/') || contentType.includes('application/octet-stream')));
+
+			if (isBlob) return response.blob();
+
+			const text = await response.text();
+
+			if (responseType === 'auto') {
+				try {
+					return JSON.parse(text);
+				} catch {
+					return text;
+				}
+			}
+
+			if (responseType === 'json' || contentType.includes('application/json')) return text ? JSON.parse(text) : null;
+
+			return text;
+		};
+
+		const _use = (type, fn) => {
+			if (typeof fn !== 'function') throw new Error('Interceptor must be a function.');
+			_interceptors[type].set(++_interceptorId, fn);
+			return _interceptorId;
+		};
+
+		/**
+		 * Parses the Retry-After header, which is either a number of seconds or an HTTP date.
+		 * @param {Headers|null} headers - The response headers.
+		 * @returns {number} The delay in milliseconds, or 0 if the header is missing or invalid.
+		 */
+		const _retryAfter = (headers) => {
+			const value = headers?.get('Retry-After');
+			if (!value) return 0;
+
+			const ms = isNaN(value) ? Date.parse(value) - Date.now() : Number(value) * 1000;
+			return ms > 0 ? ms : 0;
+		};
+
+		/**
+		 * Resolves the retry policy of a request.
+		 *
+		 * Idempotent methods are retried by default. Non-idempotent methods (POST, PATCH) are only
+		 * retried when the idempotency key header is present, so the server can detect duplicates.
+		 *
+		 * @param {object} config - The request config.
+		 * @param {boolean} explicit - Whether the caller passed the retry option for this request.
+		 * @returns {object|null} The retry policy, or null if the request must not be retried.
+		 */
+		const _retryPolicy = (config, explicit) => {
+			if (!config.retry) return null;
+
+			const policy = {
+				..._retryDefaults,
+				...(typeof config.retry === 'number' ? { maxAttempts: config.retry } : {}),
+				...(typeof config.retry === 'object' ? config.retry : {})
+			};
+
+			const headerName = policy.idempotencyHeader.toLowerCase();
+			const hasIdempotencyKey = Object.keys(config.headers).some(key => key.toLowerCase() === headerName && config.headers[key]);
+
+			if (!_idempotentMethods.includes(config.method) && !hasIdempotencyKey) {
+				if (explicit) console.warn(`Refusing to retry ${config.method} ${config.url} without an '${policy.idempotencyHeader}' header.`);
+				return null;
+			}
+
+			return policy;
+		};
+
+		/**
+		 * Builds the response object of a request that failed because an interceptor threw, or the body could not be encoded.
+		 * @param {object} config - The request config.
+		 * @param {Error} error - The thrown error.
+		 * @param {object} [result] - The response object, when the error was thrown by a response interceptor.
+		 * @returns {object} The response object, with a `request` error.
+		 */
+		const _interceptorFailure = (config, error, result = {}) => ({
+			success: false,
+			status: result.status || 0,
+			data: result.data ?? null,
+			headers: result.headers || null,
+			response: result.response || null,
+			config,
+			error: _requestError('request', error?.message || 'The request could not be completed.', { status: result.status || 0, cause: error })
+		});
+
+		/**
+		 * Sends a single request attempt through the transport, once the limiter has a free slot.
+		 * The timeout starts when the request leaves the queue.
+		 * @param {object} config - The request config.
+		 * @param {string} url - The final request URL.
+		 * @param {*} body - The encoded request body.
+		 * @returns {Promise<object>} The response object.
+		 */
+		const _send = async (config, url, body) => {
+			const failure = (type, message, cause, response = null) => ({
+				success: false,
+				status: response?.status || 0,
+				data: null,
+				headers: response?.headers || null,
+				response,
+				config,
+				error: _requestError(type, message, { status: response?.status || 0, cause })
+			});
+
+			try {
+				await _limiter.acquire(typeof config.priority === 'number' ? config.priority : _priorities[config.priority] ?? 0, config.signal);
+			} catch (error) {
+				return failure('abort', 'Request was aborted.', error);
+			}
+
+			const controller = new AbortController();
+			const onAbort = () => controller.abort(config.signal.reason);
+			if (config.signal?.aborted) onAbort();
+			config.signal?.addEventListener('abort', onAbort, { once: true });
+
+			let timedOut = false;
+			const timer = config.timeout > 0 ? setTimeout(() => {
+				timedOut = true;
+				controller.abort();
+			}, config.timeout) : null;
+
+			const abortFailure = (cause) => {
+				if (timedOut) return failure('timeout', `Request timed out after ${config.timeout}ms`, cause);
+				if (controller.signal.aborted) return failure('abort', 'Request was aborted.', cause);
+				return null;
+			};
+
+			try {
+				let response;
+				try {
+					response = await _transport(url, {
+						method: config.method,
+						headers: config.headers,
+						body,
+						credentials: config.credentials,
+						signal: controller.signal
+					});
+				} catch (error) {
+					return abortFailure(error) || failure('network', `Network request failed: ${error.message}`, error);
+				}
+
+				let data;
+				try {
+					data = await _parseResponse(response, config.responseType);
+				} catch (error) {
+					return abortFailure(error) || failure('parse', `Unable to parse the response: ${error.message}`, error, response);
+				}
+
+				const result = { success: response.ok, status: response.status, data, headers: response.headers, response, config };
+				if (!response.ok) {
+					result.error = _requestError('http', data?.message || `Request failed with status ${response.status}`, {
+						status: response.status,
+						data,
+						errors: data?.errors || data
+					});
+				}
+
+				return result;
+			} finally {
+				clearTimeout(timer);
+				config.signal?.removeEventListener('abort', onAbort);
+				_limiter.release();
+			}
+		};
+
+		/**
+		 * Sends the request, retrying network failures and retryable statuses according to the retry policy.
+		 * @param {object} config - The request config.
+		 * @param {string} url - The final request URL.
+		 * @param {*} body - The encoded request body.
+		 * @param {object|null} policy - The retry policy.
+		 * @returns {Promise<object>} The response object of the last attempt.
+		 */
+		const _sendWithRetry = (config, url, body, policy) => {
+			if (!policy) return _send(config, url, body);
+
+			const isRetryable = (result) => result.status === 0
+				? ['network', 'timeout'].includes(result.error.type)
+				: policy.statuses.includes(result.status);
+
+			return retry(async () => {
+				const result = await _send(config, url, body);
+				if (!isRetryable(result)) return result;
+
+				throw Object.assign(new Error(`Request failed with status ${result.status}`), {
+					result,
+					retryAfter: _retryAfter(result.headers)
+				});
+			}, {
+				...policy,
+				shouldRetry: () => !config.signal?.aborted,
+				onRetry: (err, attempt, wait) => policy.onRetry?.(err.result, attempt, wait)
+			}).catch(err => err.result);
+		};
+
+		/**
+		 * Resolves the cache policy of a request. Only GET requests are cached.
+		 * @param {object} config - The request config.
+		 * @param {string} url - The final request URL, used as the default cache key.
+		 * @returns {object|null} The cache policy, or null if the request must not be cached.
+		 */
+		const _cachePolicy = (config, url) => {
+			if (!config.cache || config.method !== 'GET') return null;
+
+			// The same URL may be requested as JSON, text or a blob, so each representation gets its own entry.
+			const accept = Object.entries(config.headers).find(([name]) => name.toLowerCase() === 'accept')?.[1] || '';
+
+			return {
+				..._cacheDefaults,
+				key: `${url} ${config.responseType} ${accept}`,
+				...(typeof config.cache === 'number' ? { ttl: config.cache } : {}),
+				...(typeof config.cache === 'object' ? config.cache : {})
+			};
+		};
+
+		const _cachedResult = (entry, config) => ({
+			success: true,
+			status: entry.status,
+			data: entry.data,
+			headers: null,
+			response: null,
+			config,
+			cached: true
+		});
+
+		/**
+		 * Serves a GET request from the cache.
+		 *
+		 * - A fresh entry is returned without a request.
+		 * - A stale entry is revalidated with If-None-Match / If-Modified-Since. A 304 response refreshes the entry.
+		 * - With `staleWhileRevalidate`, a stale entry is returned immediately and revalidated in the background.
+		 *
+		 * @param {object} config - The request config.
+		 * @param {function} send - Sends the request with the given config.
+		 * @param {object} policy - The cache policy.
+		 * @returns {Promise<object>} The response object. Responses served from the cache have `cached: true`.
+		 */
+		const _sendCached = async (config, send, policy) => {
+			const entry = await httpCache.get(policy.key, policy.storage);
+			if (entry && entry.expiresAt > Date.now()) return _cachedResult(entry, config);
+
+			const revalidate = async () => {
+				const headers = { ...config.headers };
+				if (entry?.etag) headers['If-None-Match'] = entry.etag;
+				if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+				const result = await send({ ...config, headers });
+
+				if (entry && result.status === 304) {
+					const refreshed = { ...entry, expiresAt: Date.now() + policy.ttl };
+					await httpCache.set(refreshed, policy.storage);
+					return _cachedResult(refreshed, config);
+				}
+
+				if (result.success) {
+					await httpCache.set({
+						key: policy.key,
+						status: result.status,
+						data: result.data,
+						etag: result.headers.get('ETag'),
+						lastModified: result.headers.get('Last-Modified'),
+						expiresAt: Date.now() + policy.ttl
+					}, policy.storage);
+				}
+
+				return result;
+			};
+
+			if (entry && policy.staleWhileRevalidate) {
+				if (!_revalidating.has(policy.key)) {
+					_revalidating.set(policy.key, revalidate().finally(() => _revalidating.delete(policy.key)));
+				}
+
+				return { ..._cachedResult(entry, config), stale: true };
+			}
+
+			return revalidate();
+		};
+
+		/**
+		 * Creates an in-memory transport for tests. Pass it to `setTransport` to answer requests without a server.
+		 *
+		 * Routes are registered by method and URL pattern. A pattern is a path where `*` matches anything and `:name`
+		 * captures a segment, or a RegExp. The query string is ignored when matching a string pattern.
+		 * A route answers with `{ status, body, headers, delay, networkError }`, or with a function returning one.
+		 * Requests without a route get a 404 response.
+		 *
+		 * Every request is recorded in `requests` with its parsed fields, so tests can assert on FormData fields and CSRF headers.
+		 *
+		 * @returns {function} The transport, with `on`, `get`, `post`, `put`, `patch`, `delete`, `requests`, `lastRequest` and `reset`.
+		 */
+		const createMockTransport = () => {
+			const _routes = [];
+			const requests = [];
+
+			const _toRegExp = (pattern) => pattern instanceof RegExp ? pattern : new RegExp('^' + pattern
+				.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+				.replace(/\*/g, '.*')
+				.replace(/:(\w+)/g, '(?<$1>[^/]+)') + '$');
+
+			/**
+			 * Parses a request body into plain fields. Repeated FormData keys become arrays, files are kept as File objects.
+			 * @param {*} body - The request body.
+			 * @param {string} contentType - The Content-Type of the request.
+			 * @returns {object|string|null} The parsed fields.
+			 */
+			const _fields = (body, contentType = '') => {
+				if (body === undefined || body === null) return null;
+
+				if (body instanceof FormData) {
+					return [...body.entries()].reduce((fields, [name, value]) => {
+						fields[name] = name in fields ? [].concat(fields[name], value) : value;
+						return fields;
+					}, {});
+				}
+
+				if (contentType.includes('application/json')) {
+					try {
+						return JSON.parse(body);
+					} catch {
+						return body;
+					}
+				}
+
+				if (contentType.includes('application/x-www-form-urlencoded')) {
+					return [...new URLSearchParams(body).entries()].reduce((fields, [name, value]) => {
+						fields[name] = name in fields ? [].concat(fields[name], value) : value;
+						return fields;
+					}, {});
+				}
+
+				return body;
+			};
+
+			/**
+			 * Builds a minimal fetch Response, so the mock works where Response is not available (e.g. jsdom).
+			 * @param {object} spec - The route response: { status, body, headers }.
+			 * @returns {object} The Response-like object.
+			 */
+			const _response = ({ status = 200, body = null, headers = {} }) => {
+				const isJson = body !== null && typeof body === 'object' && !(body instanceof Blob);
+				const text = body === null ? '' : isJson ? JSON.stringify(body) : String(body);
+				const headerMap = new Map(Object.entries({ ...(isJson ? { 'content-type': 'application/json' } : {}), ...headers })
+					.map(([name, value]) => [name.toLowerCase(), String(value)]));
+
+				return {
+					ok: status >= 200 && status < 300,
+					status,
+					headers: { get: (name) => headerMap.get(name.toLowerCase()) ?? null, has: (name) => headerMap.has(name.toLowerCase()) },
+					text: async () => body instanceof Blob ? body.text() : text,
+					json: async () => JSON.parse(text),
+					blob: async () => body instanceof Blob ? body : new Blob([text])
+				};
+			};
+
+			const _wait = (ms, signal) => new Promise((resolve, reject) => {
+				const timer = setTimeout(resolve, ms);
+				signal?.addEventListener('abort', () => {
+					clearTimeout(timer);
+					reject(Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' }));
+				}, { once: true });
+			});
+
+			const transport = async (url, init = {}) => {
+				const location = new URL(url, window.location.href);
+				const path = location.origin === window.location.origin ? location.pathname : location.origin + location.pathname;
+				const method = (init.method || 'GET').toUpperCase();
+				const headers = { ...(init.headers || {}) };
+				const contentType = Object.entries(headers).find(([name]) => name.toLowerCase() === 'content-type')?.[1];
+
+				const request = {
+					method,
+					url,
+					path,
+					query: Object.fromEntries(location.searchParams.entries()),
+					params: {},
+					headers,
+					body: init.body,
+					data: _fields(init.body, contentType),
+					timestamp: Date.now()
+				};
+				requests.push(request);
+
+				const route = _routes.find(item => (item.method === '*' || item.method === method) && item.pattern.test(item.raw ? url : path));
+				if (!route) return _response({ status: 404, body: { message: `No mock route for ${method} ${url}` } });
+
+				request.params = { ...(route.pattern.exec(route.raw ? url : path)?.groups || {}) };
+
+				const spec = typeof route.response === 'function' ? await route.response(request) : route.response;
+				if (spec?.delay) await _wait(spec.delay, init.signal);
+				if (init.signal?.aborted) throw Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+				if (spec?.networkError) throw new TypeError('Failed to fetch');
+
+				return _response(spec || {});
+			};
+
+			const on = (method, pattern, response) => {
+				_routes.push({ method: method.toUpperCase(), pattern: _toRegExp(pattern), raw: pattern instanceof RegExp, response });
+				return transport;
+			};
+
+			return Object.assign(transport, {
+				on,
+				get: (pattern, response) => on('GET', pattern, response),
+				post: (pattern, response) => on('POST', pattern, response),
+				put: (pattern, response) => on('PUT', pattern, response),
+				patch: (pattern, response) => on('PATCH', pattern, response),
+				delete: (pattern, response) => on('DELETE', pattern, response),
+				requests,
+				lastRequest: () => requests[requests.length - 1],
+				reset: () => {
+					_routes.length = 0;
+					requests.length = 0;
+				}
+			});
+		};
+
+		/**
+		 * Sends an HTTP request.
+		 *
+		 * @param {string} url - The URL to send the request to.
+		 * @param {object} [options] - Options for the request.
+		 * @param {string} [options.method='GET'] - The HTTP method.
+		 * @param {*} [options.data] - The request body, or the query parameters for GET/HEAD requests.
+		 * @param {object} [options.params] - Query parameters appended to the URL.
+		 * @param {object} [options.headers] - Additional request headers.
+		 * @param {string|null} [options.contentType] - The content type of the request body.
+		 * @param {string} [options.responseType='auto'] - How to parse the response ('auto', 'json', 'text', 'blob' or 'stream').
+		 * @param {number} [options.timeout=0] - Aborts the request after the given milliseconds. 0 disables the timeout.
+		 * @param {AbortSignal} [options.signal] - An AbortSignal used to cancel the request.
+		 * @param {string} [options.credentials='same-origin'] - The fetch credentials mode.
+		 * @param {boolean|number|object} [options.retry=true] - The retry policy. false disables retries, a number sets the maximum attempts,
+		 *                                                      an object overrides { maxAttempts, delay, backoff, jitter, maxDelay, statuses, idempotencyHeader, onRetry }.
+		 * @param {boolean|number|object} [options.cache=false] - The cache policy of a GET request. true uses the defaults, a number sets the ttl,
+		 *                                                      an object overrides { ttl, staleWhileRevalidate, storage, key }.
+		 * @param {string|string[]} [options.invalidate] - URL prefixes of cached GET responses to invalidate after a successful non-GET request.
+		 * @param {boolean} [options.dedupe=true] - Whether an identical GET request already in flight is shared instead of sent again.
+		 *                                          Requests with a signal are never shared.
+		 * @param {string|number} [options.priority='normal'] - 'high', 'normal', 'low' or a number. Higher priorities leave the queue first
+		 *                                                      when the concurrency limit is reached.
+		 * @param {boolean} [options.csrf=true] - Whether to send the CSRF token header on non-GET requests, and refresh it on a token mismatch.
+		 * @returns {Promise<{success: boolean, status: number, data: *, headers: Headers|null, response: Response|null, config: object, error?: Error}>}
+		 */
+		const request = async (url, options = {}) => {
+			let config = {
+				..._defaults,
+				...options,
+				url,
+				method: (options.method || 'GET').toUpperCase(),
+				headers: {
+					'X-Requested-With': 'XMLHttpRequest',
+					..._defaults.headers,
+					...(options.headers || {})
+				}
+			};
+
+			if (!_bodylessMethods.includes(config.method) && config.csrf && csrf.get()) config.headers[csrf.headerName()] = csrf.get();
+
+			const isBodyless = _bodylessMethods.includes(config.method);
+			let requestUrl, body;
+			try {
+				for (const interceptor of _interceptors.request.values()) {
+					config = (await interceptor(config)) || config;
+				}
+
+				requestUrl = _buildUrl(_buildUrl(config.url, config.params), isBodyless ? config.data : null);
+				body = isBodyless ? undefined : _encodeBody(config.data, config.contentType, config.headers);
+			} catch (error) {
+				return _interceptorFailure(config, error);
+			}
+
+			const retryPolicy = _retryPolicy(config, options.retry !== undefined);
+			const cachePolicy = _cachePolicy(config, requestUrl);
+			const send = (sendConfig) => _sendWithRetry(sendConfig, requestUrl, body, retryPolicy);
+
+			// Identical GET requests that are already in flight share the same response.
+			const dedupeKey = config.method === 'GET' && config.dedupe && !config.signal
+				? `${requestUrl} ${config.responseType} ${_headersKey(config.headers)}`
+				: null;
+
+			let result;
+			if (dedupeKey && _inflight.has(dedupeKey)) {
+				const shared = await _inflight.get(dedupeKey);
+				// Every caller gets its own copy of the data, so one cannot mutate what another receives.
+				result = { ...shared, data: _copyData(shared.data), config };
+			} else {
+				const pending = cachePolicy ? _sendCached(config, send, cachePolicy) : send(config);
+
+				if (dedupeKey) {
+					_inflight.set(dedupeKey, pending);
+					pending.finally(() => _inflight.delete(dedupeKey));
+				}
+
+				result = await pending;
+			}
+
+			csrf.capture(result.headers);
+
+			// The session token rotated: get a fresh token and send the request once more.
+			if (!isBodyless && config.csrf && csrf.isMismatch(result.status)) {
+				const previous = config.headers[csrf.headerName()];
+				const token = await csrf.refresh();
+
+				if (token && token !== previous) {
+					config.headers[csrf.headerName()] = token;
+					if (body instanceof FormData && body.has(csrf.fieldName())) body.set(csrf.fieldName(), token);
+
+					result = await send(config);
+					csrf.capture(result.headers);
+				}
+			}
+
+			if (result.success && config.invalidate && !isBodyless) await httpCache.invalidate(config.invalidate);
+
+			try {
+				for (const interceptor of _interceptors.response.values()) {
+					result = (await interceptor(result)) || result;
+				}
+			} catch (error) {
+				return _interceptorFailure(config, error, result);
+			}
+
+			return result;
+		};
+
+		return {
+			request,
+			get: (url, options = {}) => request(url, { ...options, method: 'GET' }),
+			post: (url, data, options = {}) => request(url, { ...options, method: 'POST', data }),
+			put: (url, data, options = {}) => request(url, { ...options, method: 'PUT', data }),
+			patch: (url, data, options = {}) => request(url, { ...options, method: 'PATCH', data }),
+			delete: (url, options = {}) => request(url, { ...options, method: 'DELETE' }),
+			interceptors: {
+				request: {
+					use: (fn) => _use('request', fn),
+					eject: (id) => _interceptors.request.delete(id)
+				},
+				response: {
+					use: (fn) => _use('response', fn),
+					eject: (id) => _interceptors.response.delete(id)
+				}
+			},
+			setDefaults: (options = {}) => Object.assign(_defaults, options),
+			setConcurrency: (limit) => _limiter.setLimit(limit),
+			setTransport: (transport) => {
+				if (typeof transport !== 'function') throw new Error('Transport must be a function.');
+				_transport = transport;
+			},
+			resetTransport: () => (_transport = _fetchTransport),
+			createMockTransport,
+			stats: () => ({ ..._limiter.stats(), inflight: _inflight.size }),
+			cache: {
+				invalidate: httpCache.invalidate,
+				clear: httpCache.clear
+			}
+		};
+	})();
+
+	/**
+	 * Persists POST requests that cannot reach the server and replays them, in order, once the browser is back online.
+	 *
+	 * Entries are stored in IndexedDB, or in localStorage when IndexedDB is not available.
+	 * FormData payloads, including files, are serialized so they survive a page reload.
+	 */
+	const offlineQueue = (() => {
+		const _storeName = 'offlineQueue';
+		const _storageKey = 'eoOfflineQueue';
+
+		// How many times an entry is replayed while the server answers with a 5xx or retryable status.
+		const _maxAttempts = 5;
+
+		let _enabled = false;
+		let _replaying = null;
+		const _subscribers = new Set();
+
+		const _readLocal = () => JSON.parse(localStorage.getItem(_storageKey)) || [];
+		const _writeLocal = (entries) => localStorage.setItem(_storageKey, JSON.stringify(entries));
+
+		const _storage = {
+			add: async (entry) => {
+				if (_indexedDB.isAvailable()) return _indexedDB.request(_storeName, 'readwrite', store => store.add(entry));
+
+				const entries = _readLocal();
+				const id = entries.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+				_writeLocal([...entries, { ...entry, id }]);
+				return id;
+			},
+			all: async () => _indexedDB.isAvailable()
+				? _indexedDB.request(_storeName, 'readonly', store => store.getAll())
+				: _readLocal(),
+			put: async (entry) => _indexedDB.isAvailable()
+				? _indexedDB.request(_storeName, 'readwrite', store => store.put(entry))
+				: _writeLocal(_readLocal().map(item => item.id === entry.id ? entry : item)),
+			remove: async (id) => _indexedDB.isAvailable()
+				? _indexedDB.request(_storeName, 'readwrite', store => store.delete(id))
+				: _writeLocal(_readLocal().filter(item => item.id !== id)),
+			clear: async () => _indexedDB.isAvailable()
+				? _indexedDB.request(_storeName, 'readwrite', store => store.clear())
+				: localStorage.removeItem(_storageKey)
+		};
+
+		/**
+		 * Reads a Blob as a data URL so it can be stored in localStorage.
+		 * @param {Blob} blob - The blob to read.
+		 * @returns {Promise<string>} The data URL.
+		 */
+		const _toDataUrl = (blob) => new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.onload = () => resolve(reader.result);
+			reader.onerror = () => reject(reader.error);
+			reader.readAsDataURL(blob);
+		});
+
+		/**
+		 * Converts a data URL back into a File.
+		 * @param {{name: string, type: string, lastModified: number, dataUrl: string}} file - The stored file.
+		 * @returns {File} The restored file.
+		 */
+		const _fromDataUrl = ({ name, type, lastModified, dataUrl }) => {
+			const binary = atob(dataUrl.split(',')[1] || '');
+			const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+			return new File([bytes], name, { type, lastModified });
+		};
+
+		/**
+		 * Serializes the request data into a storable value.
+		 * IndexedDB stores files natively, localStorage needs them as data URLs.
+		 * @param {*} data - The request data.
+		 * @returns {Promise<{type: string, value: *}>} The serialized data.
+		 */
+		const _serialize = async (data) => {
+			if (!(data instanceof FormData)) return { type: 'raw', value: data };
+
+			const value = await Promise.all([...data.entries()].map(async ([name, item]) => {
+				if (!(item instanceof Blob) || _indexedDB.isAvailable()) return [name, item];
+
+				return [name, {
+					file: true,
+					name: item.name || 'blob',
+					type: item.type,
+					lastModified: item.lastModified || Date.now(),
+					dataUrl: await _toDataUrl(item)
+				}];
+			}));
+
+			return { type: 'formdata', value };
+		};
+
+		/**
+		 * Restores the request data from its stored value.
+		 * @param {{type: string, value: *}} data - The serialized data.
+		 * @returns {*} The request data.
+		 */
+		const _deserialize = ({ type, value }) => {
+			if (type !== 'formdata') return value;
+
+			const formData = new FormData();
+			value.forEach(([name, item]) => formData.append(name, item?.file ? _fromDataUrl(item) : item));
+			return formData;
+		};
+
+		const _notify = (result) => _subscribers.forEach(fn => fn(result));
+
+		/**
+		 * Adds a request to the queue.
+		 * @param {string} url - The URL of the request.
+		 * @param {*} data - The request data.
+		 * @param {object} [options] - The request options.
+		 * @param {string|null} [options.contentType] - The content type of the request.
+		 * @param {object} [options.headers] - Additional request headers.
+		 * @returns {Promise<object>} The stored entry.
+		 */
+		const add = async (url, data, { contentType, headers = {} } = {}) => {
+			const entry = { url, data: await _serialize(data), contentType, headers, createdAt: Date.now() };
+			entry.id = await _storage.add(entry);
+			return entry;
+		};
+
+		/**
+		 * Returns the pending entries, oldest first.
+		 * @returns {Promise<Array<{id: number, url: string, data: *, contentType: string, headers: object, createdAt: number, attempts?: number}>>}
+		 */
+		const pending = async () => (await _storage.all())
+			.sort((a, b) => a.id - b.id)
+			.map(entry => ({ ...entry, data: _deserialize(entry.data) }));
+
+		/**
+		 * Sends the pending entries in order.
+		 *
+		 * Each entry is removed once the server responds, whether the response is a success or not,
+		 * and subscribers are notified with `{ entry, success, status, data, error }`.
+		 * Replay stops, keeping the entry, at the first network failure, timeout, server error (5xx)
+		 * or retryable status (see `_retryDefaults.statuses`), and resumes on the next `online` event.
+		 * An entry that got such a status `_maxAttempts` times is removed like any other failure,
+		 * so it cannot block the entries behind it.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		const replay = () => {
+			_replaying = _replaying || (async () => {
+				for (const stored of (await _storage.all()).sort((a, b) => a.id - b.id)) {
+					const entry = { ...stored, data: _deserialize(stored.data) };
+					const { success, status, data, error } = await http.post(entry.url, entry.data, {
+						contentType: entry.contentType,
+						headers: entry.headers
+					});
+
+					if (['network', 'timeout'].includes(error?.type)) break;
+
+					if (status >= 500 || _retryDefaults.statuses.includes(status)) {
+						const attempts = (stored.attempts || 0) + 1;
+						if (attempts < _maxAttempts) {
+							await _storage.put({ ...stored, attempts });
+							break;
+						}
+					}
+
+					await _storage.remove(entry.id);
+					_notify({ entry, success, status, data, error });
+				}
+			})().finally(() => (_replaying = null));
+
+			return _replaying;
+		};
+
+		/**
+		 * Checks whether a previous page may have left entries in the queue.
+		 * @returns {Promise<boolean>}
+		 */
+		const _hasStoredState = async () => _indexedDB.isAvailable()
+			? _indexedDB.exists()
+			: localStorage.getItem(_storageKey) !== null;
+
+		/**
+		 * Replays the queue when offline mode is enabled or a previous page left entries, so pages that never
+		 * use the queue do not create its storage.
+		 */
+		const _replayIfUsed = () => {
+			(async () => {
+				if (_enabled || await _hasStoredState()) await replay();
+			})().catch(error => console.error('Error replaying the offline queue:', error));
+		};
+
+		window.addEventListener('online', _replayIfUsed);
+
+		return {
+			_initBeforeLoad: () => {
+				if (navigator.onLine) _replayIfUsed();
+			},
+			add,
+			pending,
+			replay,
+			enable: () => (_enabled = true),
+			disable: () => (_enabled = false),
+			isEnabled: () => _enabled,
+			cancel: (id) => _storage.remove(id),
+			clear: () => _storage.clear(),
+			subscribe: (fn) => {
+				if (typeof fn !== 'function') throw new Error('Subscriber must be a function.');
+				_subscribers.add(fn);
+				return () => _subscribers.delete(fn);
+			}
+		};
+	})();
+
+	/**
+	 * Makes a POST request to the given URL with the given data.
+	 * This function automatically sets the X-Requested-With header to 'XMLHttpRequest' and handles JSON responses.
+	 * The beforeSend callback is called before the request is sent.
+	 *
+	 * If the request returns a JSON response, the onSuccess callback is called with the parsed JSON.
+	 * If the request returns an HTML or text response, the onSuccess callback is called with the response text.
+	 *
+	 * If the request fails for any reason, the onError callback is called with the error message, the errors returned
+	 * by the server, the status and a typed error object (see `_requestError`). The returned promise rejects with the same error.
+	 *
+	 * The onComplete callback is called after the request has completed, regardless of success or failure.
+	 *
+	 * @param {string} url - The URL to make the request to
+	 * @param {(Array<{name: string, value: string}> | FormData | object | string)} data - The data to send in the request body
+	 * @param {object} [options] - Options for the request
+	 * @param {function} [options.onBeforeSend] - Called before the request is sent
+	 * @param {function} [options.onSuccess] - Called when the request returns a JSON response
+	 * @param {function} [options.onError] - Called with (message, errors, status, error) when the request fails
+	 * @param {function} [options.onComplete] - Called after the request has completed
+	 * @param {boolean} [options.processData=true] - Whether to process the data before sending it
+	 * @param {string} [options.contentType='application/x-www-form-urlencoded; charset=UTF-8'] - The content type of the request
+	 * @param {object} [options.headers] - Additional request headers
+	 * @param {number} [options.timeout] - Aborts the request after the given milliseconds
+	 * @param {AbortSignal} [options.signal] - An AbortSignal used to cancel the request
+	 * @param {boolean} [options.offline] - Whether to queue the request with offlineQueue when the browser is offline
+	 *                                      or the server cannot be reached. Defaults to offlineQueue.isEnabled().
+	 * @param {function} [options.onQueued] - Called with the queue entry when the request was queued
+	 * @returns {Promise<*>} Resolves with the response data, `{ queued: true, id }` if the request was queued,
+	 *                       or undefined if onBeforeSend cancelled the request. Rejects with the typed error.
+	 */
+	const post = (url, data, {
+		onBeforeSend,
+		onSuccess,
+		onError,
+		onComplete,
+		onQueued,
+		offline = offlineQueue.isEnabled(),
+		contentType = 'application/x-www-form-urlencoded; charset=UTF-8',
+		...options
+	} = {}) => {
+
+		if (onBeforeSend?.() === false) return Promise.resolve();
+
+		const queue = () => offlineQueue.add(url, data, { contentType, headers: options.headers }).then(entry => {
+			onQueued?.(entry);
+			return { queued: true, id: entry.id };
+		});
+
+		// `http` resolves its own failures; anything it still throws is reported like any other failure.
+		const send = () => Promise.resolve()
+			.then(() => http.post(url, data, { ...options, contentType, responseType: 'auto' }))
+			.catch(error => ({
+				status: 0,
+				data: null,
+				error: error?.name === 'RequestError' ? error : _requestError('request', error?.message || 'The request could not be prepared.', { cause: error })
+			}))
+			.then(({ status, data, error }) => {
+				if (offline && error?.type === 'network') return queue();
+
+				// Validate the content for potential fatal errors
+				if (!error && typeof data === 'string' && (data.includes('Fatal error') || data.includes('ErrorException'))) {
+					error = _requestError('server-fatal', 'Server encountered a fatal error.', { status, data });
+				}
+
+				if (error) {
+					onError?.(error.message, error.errors, error.status, error);
+					throw error;
+				}
+
+				onSuccess?.(data);
+				return data;
+			});
+
+		const request = (offline && navigator.onLine === false ? queue() : send()).finally(onComplete);
+
+		// Callback-style callers never attach a handler, so keep the rejection from being reported as unhandled.
+		request.catch(() => {});
+
+		return request;
+	};
+
+	/**
+	 * Sends an asynchronous GET request to the specified URL with optional data.
+	 *
+	 * If `data` is a function, it is treated as the `success` callback, and `dataType` is optional.
+	 * If `data` is an object, it is converted to URL search parameters and appended to the URL.
+	 *
+	 * The function attempts to parse JSON responses if the `dataType` is 'json' or the response
+	 * Content-Type includes 'application/json'. Otherwise, it returns the response text.
+	 *
+	 * The `success` callback is invoked with the parsed result and the raw Response when the request is successful.
+	 * The Response is null when the result is served from the cache.
+	 *
+	 * If the request fails, the error is logged to the console and the promise resolves with `success: false`.
+	 *
+	 * @param {string} url - The URL to send the GET request to.
+	 * @param {object|function} data - Optional data to be sent as query parameters, or the success callback function.
+	 * @param {function} success - The callback function invoked with (data, response) on success.
+	 * @param {string} dataType - The type of data expected in the response ('json' or others).
+	 * @param {object} [options] - Additional options passed to `http.request` (headers, timeout, signal).
+	 * @returns {Promise<{success: boolean, status: number, data: *, error?: Error}>} The unified http response object.
+	 */
+	const get = async (url, data, success, dataType, options = {}) => {
+		if (typeof data === 'function') [success, dataType, options, data] = [data, success, options, undefined];
+
+		const defaultHeaders = {
+			'Accept': dataType === 'json' ? 'application/json' :
+				dataType === 'blob' ? 'image/png' : 'text/html'
+		};
+
+		const result = await http.get(url, {
+			...options,
+			params: data,
+			responseType: dataType === 'json' || dataType === 'blob' ? dataType : 'text',
+			headers: { ...defaultHeaders, ...(options.headers || {}) }
+		});
+
+		if (result.error && result.error.type !== 'http') {
+			if (result.error.type !== 'abort') console.error('Fetch Error:', result.error);
+			return result;
+		}
+
+		success?.(result.data, result.response);
+		return result;
+	};
+
+	/**
+	 * Parses a string as JSON and falls back to the raw string.
+	 * @param {string} text - The text to parse.
+	 * @returns {*} The parsed value or the text itself.
+	 */
+	const _parseData = (text) => {
+		try {
+			return JSON.parse(text);
+		} catch {
+			return text;
+		}
+	};
+
+	/**
+	 * Splits streamed text into lines. A line can arrive across several chunks, and a
+	 * trailing '\r' is held back until the next chunk shows whether it starts a '\r\n'.
+	 * @param {function} onLine - Called with each complete line, without its line break.
+	 * @returns {{push: function(string), flush: function}} The splitter.
+	 */
+	const _lineSplitter = (onLine) => {
+		let buffer = '';
+
+		return {
+			push: (text) => {
+				buffer += text;
+				const end = buffer.endsWith('\r') ? buffer.length - 1 : buffer.length;
+				const lines = buffer.slice(0, end).split(/\r\n|\r|\n/);
+				buffer = lines.pop() + buffer.slice(end);
+				lines.forEach(onLine);
+			},
+			flush: () => {
+				if (buffer) onLine(buffer);
+				buffer = '';
+			}
+		};
+	};
+
+	/**
+	 * Creates a parser for the `text/event-stream` format.
+	 *
+	 * Lines are collected until an empty line, which dispatches the event. `data` lines are joined
+	 * with '\n' and parsed as JSON when possible. The last event ID persists across events, as in EventSource.
+	 *
+	 * @param {function} onEvent - Called with { event, data, id, retry } for each dispatched event.
+	 * @returns {function(string)} The line handler.
+	 */
+	const _eventStreamParser = (onEvent) => {
+		let type = '';
+		let data = [];
+		let id = null;
+		let retry = null;
+
+		return (line) => {
+			if (line === '') {
+				if (data.length) onEvent({ event: type || 'message', data: _parseData(data.join('\n')), id, retry });
+				type = '';
+				data = [];
+				retry = null;
+				return;
+			}
+
+			if (line.startsWith(':')) return;
+
+			const index = line.indexOf(':');
+			const field = index === -1 ? line : line.slice(0, index);
+			let value = index === -1 ? '' : line.slice(index + 1);
+			if (value.startsWith(' ')) value = value.slice(1);
+
+			switch (field) {
+				case 'event': type = value; break;
+				case 'data': data.push(value); break;
+				case 'id': if (!value.includes('\0')) id = value; break;
+				case 'retry': if (/^\d+$/.test(value)) retry = Number(value); break;
+			}
+		};
+	};
+
+	/**
+	 * Sends a request and reads the response body incrementally.
+	 *
+	 * The framing is taken from the `format` option, or detected from the Content-Type when it is 'auto':
+	 * - `sse` (text/event-stream) calls onEvent for each event.
+	 * - `ndjson` (application/x-ndjson, application/jsonl) calls onLine with each parsed JSON line.
+	 * - `text` calls onLine with each raw line.
+	 *
+	 * onChunk is always called with the decoded text as it arrives. The request goes through `http.request`,
+	 * so headers, CSRF, interceptors and the transport apply. Retries, caching and de-duplication are disabled.
+	 *
+	 * @param {string} url - The URL to request.
+	 * @param {object} [options] - The stream options. Other options are passed to `http.request`.
+	 * @param {string} [options.method='GET'] - The HTTP method.
+	 * @param {*} [options.data] - The request body.
+	 * @param {string} [options.format='auto'] - One of 'auto', 'sse', 'ndjson' or 'text'.
+	 * @param {function} [options.onResponse] - Called with the http result once the headers of a successful response arrive.
+	 * @param {function} [options.onChunk] - Called with each decoded chunk of text.
+	 * @param {function} [options.onLine] - Called with each line (parsed JSON in 'ndjson' format).
+	 * @param {function} [options.onEvent] - Called with { event, data, id, retry } for each server-sent event.
+	 * @param {AbortSignal} [options.signal] - An AbortSignal used to stop reading the stream.
+	 * @returns {Promise<{success: boolean, status: number, headers: Headers, response: Response, error?: Error}>}
+	 *          Resolves when the stream ends, fails or is aborted.
+	 */
+	const stream = async (url, {
+		method = 'GET',
+		format = 'auto',
+		onResponse,
+		onChunk,
+		onLine,
+		onEvent,
+		...options
+	} = {}) => {
+		const result = await http.request(url, {
+			...options,
+			method,
+			responseType: 'stream',
+			retry: false,
+			cache: false,
+			dedupe: false,
+			headers: { 'Accept': 'text/event-stream, application/x-ndjson, text/plain, */*', ...(options.headers || {}) }
+		});
+
+		if (!result.success) return result;
+
+		const contentType = result.headers.get('Content-Type') || '';
+		const mode = format !== 'auto' ? format
+			: contentType.includes('text/event-stream') ? 'sse'
+				: /ndjson|jsonl/.test(contentType) ? 'ndjson' : 'text';
+
+		const dispatch = mode === 'sse' ? _eventStreamParser(event => onEvent?.(event)) : null;
+		const lines = _lineSplitter(line => {
+			if (mode === 'ndjson') {
+				if (line.trim()) onLine?.(_parseData(line));
+				return;
+			}
+
+			onLine?.(line);
+			dispatch?.(line);
+		});
+
+		const consume = (text) => {
+			if (!text) return;
+			onChunk?.(text);
+			lines.push(text);
+		};
+
+		onResponse?.(result);
+
+		try {
+			const body = result.response.body;
+
+			if (body?.getReader) {
+				const reader = body.getReader();
+				const decoder = new TextDecoder();
+				const cancel = () => reader.cancel().catch(() => {});
+
+				if (options.signal?.aborted) cancel();
+				options.signal?.addEventListener('abort', cancel, { once: true });
+
+				try {
+					for (;;) {
+						const { done, value } = await reader.read();
+						if (done || options.signal?.aborted) break;
+						consume(decoder.decode(value, { stream: true }));
+					}
+					consume(decoder.decode());
+				} finally {
+					options.signal?.removeEventListener('abort', cancel);
+				}
+			} else {
+				// Transports without a readable body (e.g. the mock transport) deliver the whole text at once.
+				consume(await result.response.text());
+			}
+
+			lines.flush();
+		} catch (error) {
+			result.success = false;
+			result.error = options.signal?.aborted
+				? _requestError('abort', 'Request aborted.', { status: result.status, cause: error })
+				: _requestError('network', `Stream interrupted: ${error.message}`, { status: result.status, cause: error });
+			return result;
+		}
+
+		if (options.signal?.aborted) {
+			result.success = false;
+			result.error = _requestError('abort', 'Request aborted.', { status: result.status });
+		}
+
+		return result;
+	};
+
+	/**
+	 * Server-Sent Events client built on `stream`.
+	 *
+	 * Unlike the native EventSource, it can send custom headers, goes through the http transport and
+	 * interceptors, and resumes with the `Last-Event-ID` header after a reconnect. Lost connections and
+	 * 5xx responses are retried with exponential backoff and jitter. The `retry` field sent by the server
+	 * overrides the delay. A 204 response or any other error status closes the connection.
+	 */
+	const sse = (() => {
+		/**
+		 * Opens a Server-Sent Events connection.
+		 * @param {string} url - The URL of the event stream.
+		 * @param {object} [options] - The connection options. Other options are passed to `stream`.
+		 * @param {object} [options.events] - Handlers by event name, called with (data, event). '*' receives every event.
+		 * @param {function} [options.onMessage] - Shorthand for the handler of unnamed ('message') events.
+		 * @param {function} [options.onOpen] - Called with the http result each time the connection opens.
+		 * @param {function} [options.onError] - Called with the typed error when the connection fails.
+		 * @param {function} [options.onReconnect] - Called with (attempt, delay) before reconnecting.
+		 * @param {string} [options.lastEventId] - The event ID to resume from on the first connection.
+		 * @param {boolean} [options.reconnect=true] - Whether to reconnect automatically.
+		 * @param {number} [options.delay=1000] - The base reconnection delay in milliseconds.
+		 * @param {number} [options.maxDelay=30000] - The upper bound of the reconnection delay.
+		 * @param {number} [options.jitter=0.5] - A fraction between 0 and 1 used to randomize the delay.
+		 * @returns {object} The connection, with on, off, close, lastEventId and readyState.
+		 */
+		const connect = (url, {
+			events = {},
+			onMessage,
+			onOpen,
+			onError,
+			onReconnect,
+			lastEventId = null,
+			reconnect = true,
+			delay = 1000,
+			maxDelay = 30000,
+			jitter = 0.5,
+			...options
+		} = {}) => {
+			const _handlers = new Map();
+			let _lastEventId = lastEventId;
+			let _serverRetry = null;
+			let _state = 'connecting';
+			let _attempt = 0;
+			let _controller = null;
+			let _timer = null;
+
+			const on = (event, handler) => {
+				if (!_handlers.has(event)) _handlers.set(event, new Set());
+				_handlers.get(event).add(handler);
+				return connection;
+			};
+
+			const off = (event, handler) => {
+				if (handler) _handlers.get(event)?.delete(handler);
+				else _handlers.delete(event);
+				return connection;
+			};
+
+			const close = () => {
+				_state = 'closed';
+				clearTimeout(_timer);
+				_controller?.abort();
+			};
+
+			const _dispatch = (event) => {
+				if (event.id !== null) _lastEventId = event.id;
+				if (event.retry !== null) _serverRetry = event.retry;
+
+				[...(_handlers.get(event.event) || []), ...(_handlers.get('*') || [])].forEach(handler => {
+					try {
+						handler(event.data, event);
+					} catch (error) {
+						console.error(`Error in SSE handler for '${event.event}':`, error);
+					}
+				});
+			};
+
+			const _scheduleReconnect = () => {
+				if (!reconnect) {
+					_state = 'closed';
+					return;
+				}
+
+				_state = 'connecting';
+				_attempt++;
+				const wait = _serverRetry ?? Math.min(delay * 2 ** (_attempt - 1), maxDelay) * (1 - jitter * Math.random());
+				onReconnect?.(_attempt, wait);
+				_timer = setTimeout(_connect, wait);
+			};
+
+			const _open = async () => {
+				_controller = new AbortController();
+
+				const result = await stream(url, {
+					...options,
+					format: 'sse',
+					signal: _controller.signal,
+					headers: {
+						'Accept': 'text/event-stream',
+						'Cache-Control': 'no-cache',
+						...(_lastEventId ? { 'Last-Event-ID': _lastEventId } : {}),
+						...(options.headers || {})
+					},
+					onResponse: (response) => {
+						_state = 'open';
+						_attempt = 0;
+						onOpen?.(response);
+					},
+					onEvent: _dispatch
+				});
+
+				if (_state === 'closed') return;
+
+				if (result.status === 204) return close();
+
+				if (result.error) {
+					onError?.(result.error);
+
+					const fatal = result.error.type === 'http' && result.status < 500 && result.status !== 429;
+					if (fatal) return close();
+				}
+
+				_scheduleReconnect();
+			};
+
+			// An exception thrown while opening (e.g. by onOpen) is reported and retried.
+			const _connect = () => _open().catch(error => {
+				if (_state === 'closed') return;
+
+				onError?.(error);
+				_scheduleReconnect();
+			});
+
+			const connection = {
+				on,
+				off,
+				close,
+				get lastEventId() { return _lastEventId; },
+				get readyState() { return _state; }
+			};
+
+			Object.entries(events).forEach(([event, handler]) => on(event, handler));
+			if (onMessage) on('message', onMessage);
+
+			_connect();
+
+			return connection;
+		};
+
+		return { connect };
+	})();
+
+	/**
+	 * Gets the user client information from local storage or fetches it from IPInfo and determines the browser.
+	 * @returns {object} The client information, with the following properties:
+	 * - `userAgent`: The user agent string
+	 * - `geo`: The geo information from IPInfo
+	 * - `browser`: The browser name
+	 */
+	const userClient = (() => {
+		const clientInfo = JSON.parse(localStorage.getItem('EOclient')) || {
+			userAgent: navigator.userAgent,
+			geo: null,
+			browser: null
+		};
+
+		/**
+		 * Asynchronously retrieves the user's geographical information from the IPInfo service.
+		 * Updates the clientInfo object with the retrieved geo data and stores it in local storage.
+		 * In case of an error during the fetch process, logs an error message to the console.
+		 * @private
+		 * @throws Will log an error to the console if the request fails.
+		 */
+		const _getGeoInfo = async () => {
+			try {
+				const geo = await get('https://ipinfo.io/json');
+				clientInfo.geo = geo.data;
+				
+				localStorage.setItem('EOclient', JSON.stringify(clientInfo));
+			} catch (error) {
+				console.error('Error getting geo info:', error);
+			}
+		};
+
+		/**
+		 * Detects the browser name from the user agent string.
+		 * Tries to match the user agent string against the given browsers.
+		 * If a match is found, the corresponding browser name is assigned to the clientInfo object.
+		 * If no match is found, assigns 'Unknown Browser' to the clientInfo object.
+		 * @private
+		 * @returns {void}
+		 */
+		const _detectBrowser = () => {
+			const browsers = {
+				'Opera|Opr': 'Opera',
+				'Edg': 'Microsoft Edge',
+				'EdgA': 'Microsoft Edge (Chromium)',
+				'MSIE|Trident': 'Microsoft IE',
+				'Chrome': 'Google Chrome',
+				'Safari': 'Apple Safari',
+				'Firefox': 'Mozilla Firefox'
+			};
+
+			clientInfo.browser = Object.entries(browsers).find(([key]) =>
+				new RegExp(key).test(navigator.userAgent)
+			)?.[1] || 'Unknown Browser';
+		};
+
+		if (!localStorage.getItem('EOclient')) {
+			_getGeoInfo();
+			_detectBrowser();
+		}
+
+		return clientInfo;
+	})();
+
+	const video = (() => {
+		/**
+		 * Resets the form and shows an error message to the user when the response from the server
+		 * is invalid (e.g. the video URL is not valid or the video is already added).
+		 * @param {HTMLInputElement} input - The input element to add the is-invalid class to.
+		 * @param {HTMLSpanElement} btnSpinner - The spinner button element to hide.
+		 * @param {HTMLSpanElement} btnText - The text button element to show.
+		 */
+		const _resetForm = (input, btnSpinner, btnText) => {
+			btnSpinner.classList.add('d-none');
+			btnText.classList.remove('d-none');
+			input.disabled = false;
+		};
+
+		/**
+		 * Resets the form and shows an error message to the user when the response from the server
+		 * is invalid (e.g. the video URL is not valid or the video is already added).
+		 * @param {HTMLInputElement} input - The input element to add the is-invalid class to.
+		 * @param {HTMLSpanElement} btnSpinner - The spinner element to hide.
+		 * @param {HTMLSpanElement} btnText - The text element to show.
+		 * @param {string} message - The error message to show to the user.
+		 */
+		const _invalidResponse = (input, btnSpinner, btnText, message) => {
+			input.classList.add('is-invalid');
+			_resetForm(input, btnSpinner, btnText);
+			alert.error(message);
+		};
+
+		/**
+		 * Handles the click event of the add video button and adds the video to the
+		 * video list container if the YouTube URL is valid and the video is not already
+		 * added.
+		 * @private
+		 */
+		const _handleVideoAdd = (onBeforeSend, onSuccess) => {
+			document.addEventListener('click', (event) => {
+
+				const btn = event.target.closest('.btn-add-video');
+				if (!btn) return;
+				
+				const input = document.querySelector('.youtubeUrl');
+				if (!input) return;
+				
+				const btnSpinner = btn.querySelector('.spinner-border');
+				const btnText = btn.querySelector('.btn-text');
+				const videoUrl = input.value.trim();
+				
+				btnSpinner.classList.remove('d-none');
+				btnText.classList.add('d-none');
+				input.disabled = true;
+
+				if (!videoUrl) return _invalidResponse(input, btnSpinner, btnText, 'YouTube URL is required!');
+				
+				const videoData = getYoutubeVideoData(videoUrl);
+
+				const _handleBeforeSend = async () => {
+					if (typeof onBeforeSend === "function") {
+						const result = await onBeforeSend(videoData);
+						if (result instanceof Promise) {
+							return result.then((resolvedResult) => {
+								if (resolvedResult === false) {
+									_resetForm(input, btnSpinner, btnText);
+									return false;
+								}
+								return true;
+							});
+						} else {
+							// Handle synchronous return
+							if (result === false) {
+								_resetForm(input, btnSpinner, btnText);
+								return false;
+							}
+						}
+					}
+					return true;
+				};
+
+				_handleBeforeSend().then((shouldProceed) => {
+					if (!shouldProceed) return;
+					
+					if (!videoData || !videoData.id) return _invalidResponse(input, btnSpinner, btnText, videoData?.message || 'Invalid YouTube URL!');
+					if (document.querySelector(`.${CSS.escape(videoData.id)}`)) return _invalidResponse(input, btnSpinner, btnText, 'Video already added!');
+					
+					const videoContainer = createElements('div', { class: videoData.id, 'data-id': videoData.id }, [
+						createHiddenInput(`videos[${videoData.id}][id]`, videoData.id),
+						createHiddenInput(`videos[${videoData.id}][url]`, videoData.url),
+						createHiddenInput(`videos[${videoData.id}][embed]`, videoData.embed),
+						...Object.entries(videoData.thumbnail || {}).map(([key, value]) => createHiddenInput(`videos[${videoData.id}][thumbnail][${key}]`, value)),
+						createHiddenInput(`videos[${videoData.id}][created_at]`, Date.now().toString()),
+						createElements('div', {
+							class: 'position-relative p-2 cursor-pointer text-white',
+							style: `width: 15rem; height: 9.5rem; background-size: cover; background-position: center; background-image: url(${videoData.thumbnail?.sd || ''});`
+						}, [
+							createElements('div', { class: 'position-absolute top-0 end-0 btn-delete-container p-2' }, [
+								createElements('span', { class: 'btn btn-danger btn-sm btn-remove-video', 'data-id': videoData.id }, [ document.createTextNode('X') ])
+							]),
+							createElements('div', {
+								class: 'btn-playback position-absolute top-50 start-50 translate-middle text-center',
+								'data-id': videoData.id,
+								'data-url': videoData.url,
+								'data-embed': videoData.embed,
+							}, [
+								createElements('i', { class: 'ti ti-brand-youtube fs-48' })
+							])
+						])
+					]);
+
+					document.querySelector('.video-list-container')?.prepend(videoContainer);
+					input.value = '';
+					input.classList.remove('is-invalid');
+					onSuccess?.(videoData);
+					_resetForm(input, btnSpinner, btnText);
+				});
+
+			});
+		};
+
+		/**
+		 * Handles video playback by listening for clicks on the video thumbnails and
+		 * opening a modal with the video player.
+		 *
+		 * @private
+		 * @function
+		 */
+		const _handleVideoPlayback = (onPlayBack) => {
+			document.addEventListener('click', (event) => {
+				const btn = event.target.closest('.btn-playback');
+				if (!btn) return;
+
+				modal.create({
+					id: btn.dataset.id,
+					size: 'fullscreen',
+					callback: () => createElements('div', { class: 'row justify-content-center' }, [
+						createElements('div', { class: 'col-xl-8 col-lg-8 col-md-8 col-sm-12 col-12' }, [
+							createElements('iframe', {
+								class: 'w-100', height: '560', src: btn.dataset.embed,
+								title: 'YouTube video player', frameborder: '0',
+								allow: 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture;',
+								referrerpolicy: 'strict-origin-when-cross-origin', allowfullscreen: ''
+							}),
+							createElements('div', { class: 'text-center' }, [
+								createElements('span', { class: 'btn mt-3', 'data-bs-dismiss': 'modal' }, [
+									createElements('i', { class: 'ti ti-x me-1' }),
+									document.createTextNode(' Close')
+								])
+							])
+						])
+					]),
+					status: 'info',
+					destroyable: true
+				});
+
+				document.getElementById(btn.dataset.id).querySelector('.modal-content').style.backgroundColor = 'rgba(0, 0, 0, 1)';
+				onPlayBack?.({
+					id: btn.dataset.id,
+					url: btn.dataset.url,
+					embed: btn.dataset.embed
+				});
+			});
+		};
+
+		/**
+		 * Attaches a click event listener to the document to handle video deletion.
+		 * 
+		 * This function listens for clicks on elements with the class 'btn-remove-video'.
+		 * When clicked, it removes the corresponding video element from the DOM using 
+		 * the data-id attribute of the clicked button.
+		 * 
+		 * @private
+		 */
+		const _handleVideoDeletion = (onRemove) => {
+			document.addEventListener('click', (event) => {
+				const btn = event.target.closest('.btn-remove-video');
+				if (btn) document.querySelector(`.${CSS.escape(btn.dataset.id)}`)?.remove();
+				if (btn) onRemove?.(btn.dataset.id);
+			});
+		};
+
+		/**
+		 * Creates the video form element.
+		 *
+		 * @private
+		 * @function
+		 */
+		const _createVideoForm = () => {
+			const container = document.getElementById('videoInput');
+			if (!container) return;
+
+			container.appendChild(createElements('div', { class: 'd-flex gap-1' }, [
+				createElements('div', { class: 'form-floating flex-fill' }, [
+					createElements('input', {
+						type: 'text', id: 'youtubeUrl', class: 'form-control youtubeUrl',
+						placeholder: '', 'aria-label': 'YouTube URL', 'aria-describedby': 'basic-addon1'
+					}),
+					createElements('label', { for: 'youtubeUrl' }, [
+						createElements('i', { class: 'ti ti-brand-youtube' }),
+						document.createTextNode(' Paste YouTube URL')
+					])
+				]),
+				createElements('span', { class: 'btn btn-primary btn-add-video' }, [
+					createElements('span', { class: 'spinner-border spinner-border-sm d-none', role: 'status', 'aria-hidden': 'true' }),
+					createElements('span', { class: 'btn-text fs-18' }, [
+						createElements('i', { class: 'ti ti-plus me-1' }),
+						document.createTextNode(' Add Video')
+					])
+				])
+			]));
+		};
+
+		return {
+			
+			/**
+			 * Initializes the video module by creating the form elements for inputting
+			 * YouTube URLs and adding them to the page.
+			 * @function
+			 */
+			init: ({ onBeforeSend, onSuccess, onRemove, onPlayback } = {}) => {
+				_createVideoForm();
+				_handleVideoAdd(onBeforeSend, onSuccess);
+				_handleVideoPlayback(onPlayback);
+				_handleVideoDeletion(onRemove);
+			}
+		};
+	})();
+
+	const alert = function () {
+		/**
+		 * Displays a message in the specified container element on the webpage.
+		 *
+		 * @param {string} message - The message to be displayed.
+		 * @param {string} element - The CSS selector of the container where the message will be displayed.
+		 *                           If the container does not exist, a new one will be created.
+		 */
+		const _display = (message, element) => {
+			const messageContainer = document.querySelector(element);
+
+			if (!messageContainer) {
+				document.body.prepend(createElements('div', { class: 'response' }));
+			}
+
+			document.querySelector(element).innerHTML = message;
+		};
+
+		/**
+		 * Creates and displays an alert message on the webpage.
+		 * 
+		 * @param {string|Node} message - The message to be displayed in the alert, or an element such as `validator.summary()`.
+		 * @param {string} [type='success'] - The type of alert, which determines its styling (e.g., 'success', 'danger').
+		 * @param {string} [element='.response'] - The CSS selector of the container where the alert will be displayed.
+		 */
+		const _createAlert = (message, type = 'success', element = '.response') => {
+			const alertIcons = {
+				success: createElements('i', { class: 'ti ti-check' }),
+				info: createElements('i', { class: 'ti ti-info-circle' }),
+				warning: createElements('i', { class: 'ti ti-alert-triangle' }),
+				danger: createElements('i', { class: 'ti ti-x' })
+			};
+			const alertClasses = `message alert alert-${type} alert-dismissible show`;
+			const alertDiv = createElements('div', { class: alertClasses, role: 'alert' }, [
+				createElements('div', { class: 'alert-icon float-start w-1', style: 'margin-top: 1px' }, [ alertIcons[type] ]),
+				createElements('span', { class: `alert-description text-${type}` }, [message instanceof Node ? message : document.createTextNode(message)]),
+				createElements('button', {
+					type: 'button', class: 'btn-close',
+					'data-bs-dismiss': 'alert', 'aria-label': 'Close'
+				})
+			]);
+
+			_display(alertDiv.outerHTML, element);
+		};
+
+		const success = (message, element = '.response') => _createAlert(message, 'success', element);
+		const error = (message, element = '.response') => _createAlert(message, 'danger', element);
+
+		/**
+		 * Displays a processing loader with a message in the specified container element on the webpage.
+		 *
+		 * @param {string} [message='Processing, Please wait...'] - The message to be displayed with the loader.
+		 * @param {string} [element='.response'] - The CSS selector of the container where the loader will be displayed.
+		 */
+		const loader = (message = 'Processing, Please wait...', element = '.response') => {
+			const loaderDiv = createElements('div', { class: 'bg-white p-3 mt-3 rounded border' }, [
+				createElements('div', { class: 'd-flex gap-3 align-items-center' }, [
+					createElements('div', { class: 'loader' }),
+					createElements('p', { class: 'mb-0' }, [document.createTextNode(message)])
+				])
+			]);
+
+			_display(loaderDiv.outerHTML, element);
+		};
+
+		/**
+		 * Creates and displays an alert message on the webpage.
+		 * 
+		 * @param {string} message - The message to be displayed in the alert.
+		 * @param {string} type - The type of alert, which determines its styling (e.g., 'success', 'danger').
+		 * @param {string} [element='.response'] - The CSS selector of the container where the alert will be displayed.
+		 */
+		const message = (message, type, element = '.response') => {
+			_createAlert(message, type, element);
+		};
+
+		const destroy = (element) => {
+			document.querySelector(element).innerHTML = '';
+		}
+
+		return {
+			success,
+			error,
+			loader,
+			message,
+			destroy
+		};
+	}();
+
+	const button = (() => {
+		/**
+		 * Sets the state of a set of buttons or clickable elements identified by the given selector.
+		 * @param {string} selector - The CSS selector to identify the elements to modify.
+		 * @param {boolean} disabled - Whether to disable the elements or not.
+		 * @returns {undefined}
+		 */
+		const setState = (selector, disabled) => {
+			document.querySelectorAll(selector).forEach(el => {
+				Object.assign(el.style, {
+					cursor: disabled ? 'wait' : '',
+					pointerEvents: disabled ? 'none' : '',
+					opacity: disabled ? 0.5 : '',
+				});
+				el.disabled = disabled;
+			});
+		};
+
+		return {
+			disable: (selector = '.btn') => setState(selector, true),
+			enable: (selector = '.btn') => setState(selector, false)
+		};
+	})();
+
+	/**
+	 * Reads Laravel-style validation errors: a 422 response with `{ message, errors: { field: [messages] } }`.
+	 * @param {Error} error The typed request error.
+	 * @returns {Object|null} The field errors, or null if the response has none.
+	 */
+	const _laravelErrors = (error) =>
+		error?.status === 422 && typeof error.data?.errors === 'object' ? error.data.errors : null;
+
+	/**
+	 * Submits the given form id, handles validation, redirects, and callbacks
+	 *
+	 * @param {String} formId - the form id to submit
+	 * @param {{ rules: Object, callback: Function, onBeforeSend: Function, redirectUrl: String  }} [options] - options for the submission
+	 * @param {{ rules: Object }} [options.rules] - the rules object
+	 * @param {Function} [options.callback] - the callback function to call on success
+	 * @param {Function} [options.onBeforeSend] - the callback function to call before sending
+	 * @param {String} [options.redirectUrl] - the url to redirect to on success
+	 * @param {Function} [options.onError] - the callback function to call with (message, errors, status, error) on failure
+	 * @param {Function} [options.onComplete] - the callback function to call after the request has completed
+	 * @param {Boolean} [options.offline] - whether to queue the submission with offlineQueue when the browser is offline
+	 * @param {Function} [options.onQueued] - the callback function to call with the queue entry when the submission was queued
+	 * @param {Function|false} [options.mapErrors] - maps the typed request error to field errors ({ field: messages } or [{ field, message }])
+	 *                                              shown on the inputs, or null. Defaults to Laravel-style 422 errors. false disables it
+	 * @param {Object} [options.labels] - the field labels passed to the validator
+	 * @param {Object} [options.messages] - the messages passed to the validator
+	 * @returns {Promise<*>} - the promise returned by post, or undefined if validation failed. Rejects with the typed request error on failure
+	 */
+	const submitForm = (formId, { rules, callback, onBeforeSend, redirectUrl, onError, onComplete, onQueued, offline, mapErrors = _laravelErrors, labels, messages, redirectTimeout = 3000, alertContainerType = 'modal' } = {}) => {
+		formId = formId.replace('#', '');
+		const form = document.getElementById(formId);
+
+		if (!form) {
+			console.error(`Form with ID '${formId}' not found!`);
+			return;
+		}
+
+		document.addEventListener('submit', (event) => {
+			if (event.target.id === formId) event.preventDefault();
+		});
+
+		// The server errors of the previous submission no longer apply.
+		validator.clearErrors(form);
+
+		const formData = new FormData(form);
+		csrf.get() ? formData.append(csrf.fieldName(), csrf.get()) : null;
+
+		onBeforeSend?.(formData);
+
+		const isAlert = alertContainerType === 'alert';
+
+		/**
+		 * Runs the client-side rules, including async and remote rules, and shows the errors.
+		 * @returns {Promise<boolean>} Whether the form may be sent.
+		 */
+		const validate = async () => {
+			let valid;
 			try {
-				const geo = await get('https://ipinfo.io/json');
-				clientInfo.geo = geo.data;
-				
-				localStorage.setItem('EOclient', JSON.stringify(clientInfo));
+				// Without rules, fields required by formConditions are still checked.
+				valid = await validator.validate(serializeFormData(formData, { nested: true }), typeof rules === 'object' && rules ? rules : {}, { form, labels, messages });
 			} catch (error) {
-				console.error('Error getting geo info:', error);
+				modal.alert.close();
+				isAlert ? alert.error(error.message) : modal.alert.error(error.message);
+				button.enable();
+				throw error;
+			}
+
+			if (valid) return true;
+
+			modal.alert.close();
+			if (isAlert) {
+				alert.error(validator.summary(validator.getErrorBag(), { form }));
+				document.querySelector('.response .eo-error-summary')?.focus();
+			} else {
+				// The modal has its own title.
+				modal.alert.error(validator.summary(validator.getErrorBag(), { form, title: null }));
+			}
+
+			button.enable();
+			return false;
+		};
+
+		const send = () => post(form.getAttribute('action'), formData, {
+			onSuccess: (responseData) => {
+				try {
+					const response = typeof responseData === 'object' ? responseData : JSON.parse(responseData);
+					isAlert
+						? alert.message(response.message)
+						: modal.alert.message(response.message);
+					
+					callback?.(serializeFormData(formData), response);
+				} catch (e) {
+					alert.destroy('.response');
+					callback?.(serializeFormData(formData), responseData, e);
+				}
+
+				form.dispatchEvent(new CustomEvent('eo:submitted', { detail: { response: responseData, queued: false } }));
+
+				if (redirectUrl || (responseData && responseData.redirect)) {
+					setTimeout(() => redirect(redirectUrl ?? responseData.redirect), redirectTimeout);
+				}
+			},
+			onError: (message, rawResponse, status, error) => {
+				if ((rawResponse && rawResponse.redirect)) {
+					setTimeout(() => redirect(rawResponse.redirect), redirectTimeout);
+				}
+
+				isAlert
+					? alert.error(message)
+					: modal.alert.error(message);
+
+				const fieldErrors = mapErrors ? mapErrors(error) : null;
+				if (fieldErrors) {
+					validator.showErrors(fieldErrors, { form, focus: isAlert });
+
+					// The modal keeps the focus inside itself, so the first invalid input is focused once it is hidden.
+					if (!isAlert) {
+						const dialog = [...document.querySelectorAll('#modalAlertMessage')].pop();
+						dialog?.addEventListener('hidden.bs.modal', () => form.querySelector('[aria-invalid="true"]')?.focus(), { once: true });
+					}
+				}
+
+				onError?.(message, rawResponse, status, error);
+			},
+			onQueued: (entry) => {
+				const message = 'You are offline. Your submission was saved and will be sent once you are back online.';
+				isAlert
+					? alert.message(message, 'warning')
+					: modal.alert.message(message);
+
+				form.dispatchEvent(new CustomEvent('eo:submitted', { detail: { response: null, queued: true } }));
+				onQueued?.(serializeFormData(formData), entry);
+			},
+			onComplete: () => {
+				modal.alert.close();
+				button.enable();
+				onComplete?.();
+			},
+			...(offline !== undefined ? { offline } : {})
+		});
+
+		isAlert ? alert.loader() : modal.alert.loader();
+		button.disable();
+
+		// The request only goes out once every rule, including async and remote rules, has settled.
+		const request = validate().then(valid => valid ? send() : undefined);
+
+		// Callback-style callers never attach a handler, so keep the rejection from being reported as unhandled.
+		request.catch(() => {});
+
+		return request;
+	};
+
+	/**
+	 * Turns a form into a multi-step wizard.
+	 *
+	 * Each step is a fieldset of the form. Only the current step is shown, and its rules are validated before
+	 * the wizard advances. A step whose `skip` returns true is passed over and its fieldset is disabled, so its
+	 * fields are not submitted. The last step submits the form through `submitForm` with the rules of every
+	 * step that is not skipped; if one of them fails, the wizard goes back to the first step with an error.
+	 *
+	 * Buttons inside the form are wired by their `data-eo-wizard` attribute: 'prev', 'next' and 'submit'.
+	 * Pressing enter on a step other than the last advances instead of submitting.
+	 *
+	 * @param {String} formId - the form id (with or without '#')
+	 * @param {Object} [options] - the wizard options, plus the options of `submitForm` for the final submission
+	 * @param {Array<Object>} [options.steps] - the steps: { fieldset, rules, skip, title }. `fieldset` is an element or
+	 *                                           a selector inside the form, and defaults to the n-th fieldset of the form.
+	 *                                           `skip` is called with the nested form data. Defaults to one step per fieldset
+	 * @param {Number} [options.start=0] - the index of the first step to show
+	 * @param {HTMLElement|String} [options.progress] - the element (or selector) in which the progress indicator is rendered
+	 * @param {Function} [options.onStepChange] - the callback function to call with (index, step) when a step is shown
+	 * @param {Object} [options.labels] - the field labels passed to the validator
+	 * @param {Object} [options.messages] - the messages passed to the validator
+	 * @returns {Object|null} the wizard: { form, next, prev, goTo, submit, current, isFirst, isLast, destroy }, or null if the form is not found
+	 */
+	const wizard = (formId, { steps, start = 0, progress, onStepChange, labels, messages, ...submitOptions } = {}) => {
+		formId = formId.replace('#', '');
+		const form = document.getElementById(formId);
+
+		if (!form) {
+			console.error(`Form with ID '${formId}' not found!`);
+			return null;
+		}
+
+		const fieldsets = [...form.querySelectorAll('fieldset')];
+		const _steps = (steps || fieldsets.map(() => ({}))).map((step, index) => ({
+			...step,
+			element: typeof step.fieldset === 'string' ? form.querySelector(step.fieldset) : step.fieldset || fieldsets[index]
+		}));
+
+		if (_steps.some(step => !step.element)) throw new Error('Every wizard step must have a fieldset.');
+
+		const progressElement = typeof progress === 'string' ? document.querySelector(progress) : progress;
+		const buttons = `#${formId} [data-eo-wizard]`;
+		let _current = -1;
+		let _busy = false;
+
+		const _data = () => serializeFormData(form, { nested: true });
+
+		const _active = () => {
+			const data = _data();
+			return _steps.map((step, index) => ({ step, index })).filter(({ step }) => !step.skip?.(data));
+		};
+
+		const _render = (active) => {
+			const position = active.findIndex(({ index }) => index === _current);
+
+			// Skipped fieldsets are disabled, so their fields are neither validated nor submitted.
+			_steps.forEach((step, index) => {
+				step.element.classList.toggle('d-none', index !== _current);
+				step.element.disabled = !active.some(item => item.index === index);
+			});
+
+			form.querySelectorAll('[data-eo-wizard="prev"]').forEach(el => el.classList.toggle('d-none', position === 0));
+			form.querySelectorAll('[data-eo-wizard="next"]').forEach(el => el.classList.toggle('d-none', position === active.length - 1));
+			form.querySelectorAll('[data-eo-wizard="submit"]').forEach(el => el.classList.toggle('d-none', position !== active.length - 1));
+
+			if (progressElement) {
+				const { title } = _steps[_current];
+				const text = `Step ${position + 1} of ${active.length}${title ? `: ${title}` : ''}`;
+
+				progressElement.replaceChildren(createElements('div', { class: 'eo-wizard-progress' }, [
+					createElements('div', {
+						class: 'progress',
+						role: 'progressbar',
+						'aria-label': text,
+						'aria-valuemin': '0',
+						'aria-valuemax': String(active.length),
+						'aria-valuenow': String(position + 1)
+					}, [
+						createElements('div', { class: 'progress-bar', style: `width: ${((position + 1) / active.length) * 100}%` })
+					]),
+					createElements('small', { class: 'text-muted' }, [text])
+				]));
+			}
+		};
+
+		/**
+		 * Shows a step without validating the current one.
+		 * @param {Number} index - the index of the step. A skipped step shows the next step that is not skipped
+		 */
+		const goTo = (index) => {
+			const active = _active();
+			const target = active.find(item => item.index >= index) || active[active.length - 1];
+			if (!target) return;
+
+			const changed = target.index !== _current;
+			_current = target.index;
+			_render(active);
+
+			if (changed) {
+				onStepChange?.(_current, _steps[_current]);
+				form.dispatchEvent(new CustomEvent('eo:wizard:step', { detail: { index: _current, step: _steps[_current] } }));
 			}
 		};
 
 		/**
-		 * Detects the browser name from the user agent string.
-		 * Tries to match the user agent string against the given browsers.
-		 * If a match is found, the corresponding browser name is assigned to the clientInfo object.
-		 * If no match is found, assigns 'Unknown Browser' to the clientInfo object.
-		 * @private
-		 * @returns {void}
+		 * Validates the rules of the current step. The first invalid input of the step is focused.
+		 * @returns {Promise<Boolean>} whether the step is valid
+		 */
+		const _validateStep = async () => {
+			const { rules, element } = _steps[_current];
+
+			// The step is the root, so only its own fields required by formConditions are checked.
+			const valid = await validator.validate(_data(), typeof rules === 'object' && rules ? rules : {}, { form: element, labels, messages });
+			if (!valid) element.querySelector('.is-invalid')?.focus();
+
+			return valid;
+		};
+
+		/**
+		 * Runs an action while the wizard buttons are disabled. Ignored while another action or a submission is running.
+		 * @param {Function} action - the async action
+		 * @returns {Promise<*>} the result of the action, or false if it was ignored
+		 */
+		const _run = async (action) => {
+			if (_busy) return false;
+
+			_busy = true;
+			button.disable(buttons);
+			try {
+				return await action();
+			} finally {
+				_busy = false;
+				button.enable(buttons);
+			}
+		};
+
+		/**
+		 * Validates the current step and shows the next step that is not skipped.
+		 * @returns {Promise<Boolean>} whether the wizard advanced
+		 */
+		const next = () => _run(async () => {
+			if (!(await _validateStep())) return false;
+
+			const target = _active().find(({ index }) => index > _current);
+			if (!target) return false;
+
+			goTo(target.index);
+			return true;
+		});
+
+		/**
+		 * Shows the previous step that is not skipped.
+		 * @returns {Boolean} whether the wizard went back
+		 */
+		const prev = () => {
+			if (_busy) return false;
+
+			const target = _active().filter(({ index }) => index < _current).pop();
+			if (!target) return false;
+
+			goTo(target.index);
+			return true;
+		};
+
+		/**
+		 * Validates the current step and submits the form through `submitForm` with the rules of every step that is not skipped.
+		 * @returns {Promise<*>} the promise returned by submitForm. Rejects with the typed request error on failure
 		 */
-		const _detectBrowser = () => {
-			const browsers = {
-				'Opera|Opr': 'Opera',
-				'Edg': 'Microsoft Edge',
-				'EdgA': 'Microsoft Edge (Chromium)',
-				'MSIE|Trident': 'Microsoft IE',
-				'Chrome': 'Google Chrome',
-				'Safari': 'Apple Safari',
-				'Firefox': 'Mozilla Firefox'
-			};
+		const submit = () => _run(async () => {
+			if (!(await _validateStep())) return;
 
-			clientInfo.browser = Object.entries(browsers).find(([key]) =>
-				new RegExp(key).test(navigator.userAgent)
-			)?.[1] || 'Unknown Browser';
+			const active = _active();
+			const rules = Object.assign({}, ...active.map(({ step }) => step.rules || {}));
+
+			const response = await submitForm(formId, { ...submitOptions, labels, messages, rules });
+			if (response === undefined) {
+				const errors = validator.getErrorBag();
+				const invalid = active.find(({ step }) => Object.keys(step.rules || {}).some(pattern => errors.has(pattern)));
+				if (invalid) goTo(invalid.index);
+			}
+
+			return response;
+		});
+
+		const onClick = (event) => {
+			const action = event.target.closest('[data-eo-wizard]')?.dataset.eoWizard;
+			if (!action || action === 'submit') return;
+
+			event.preventDefault();
+			action === 'next' ? next() : prev();
 		};
 
-		if (!localStorage.getItem('EOclient')) {
-			_getGeoInfo();
-			_detectBrowser();
+		const onSubmit = (event) => {
+			event.preventDefault();
+
+			const isLast = _active().pop()?.index === _current;
+
+			// submitForm already reports request errors.
+			isLast ? submit().catch(() => {}) : next();
+		};
+
+		form.addEventListener('click', onClick);
+		form.addEventListener('submit', onSubmit);
+
+		goTo(start);
+
+		return {
+			form,
+			next,
+			prev,
+			goTo,
+			submit,
+			current: () => _current,
+			isFirst: () => _active()[0]?.index === _current,
+			isLast: () => _active().pop()?.index === _current,
+			destroy: () => {
+				form.removeEventListener('click', onClick);
+				form.removeEventListener('submit', onSubmit);
+				_steps.forEach(step => {
+					step.element.classList.remove('d-none');
+					step.element.disabled = false;
+				});
+				form.querySelectorAll('[data-eo-wizard]').forEach(el => el.classList.remove('d-none'));
+				progressElement?.replaceChildren();
+			}
+		};
+	};
+
+	const _fieldEditor = (el) =>
+		el.id && typeof tinymce === 'object' ? tinymce.get(el.id) : null;
+
+	/**
+	 * Reads the values of form fields, keyed by name.
+	 *
+	 * Checkboxes give the array of their checked values, radios the checked value or null, multi-selects
+	 * the array of selected values, file inputs the names of their files, and TinyMCE textareas the content of their editor.
+	 * Repeated unindexed names (`contacts[][email]`) give the array of their values.
+	 *
+	 * @param {Array<HTMLElement>} fields - the named fields
+	 * @returns {Object} the values
+	 */
+	const _fieldValues = (fields) => fields.reduce((values, el) => {
+		if (el.type === 'checkbox') {
+			values[el.name] = [...(values[el.name] || []), ...(el.checked ? [el.value] : [])];
+		} else if (el.type === 'radio') {
+			if (el.checked || !(el.name in values)) values[el.name] = el.checked ? el.value : null;
+		} else if (el.type === 'select-multiple') {
+			values[el.name] = [...el.selectedOptions].map(option => option.value);
+		} else if (el.type === 'file') {
+			values[el.name] = [...el.files].map(file => file.name);
+		} else {
+			const value = _fieldEditor(el)?.getContent() ?? el.value;
+			values[el.name] = el.name.includes('[]') ? [...(values[el.name] || []), value] : value;
 		}
+		return values;
+	}, {});
 
-		return clientInfo;
-	})();
+	/**
+	 * Tracks unsaved changes of a form and guards navigation away from it.
+	 *
+	 * The values of the form are compared with a snapshot taken when the guard is created. While the form is dirty,
+	 * the browser asks before unloading the page, and `redirect` and `history.goBack` ask for confirmation through
+	 * `modal.confirm`. The snapshot is taken again once `submitForm` succeeds or queues the form.
+	 *
+	 * @param {String} formId - the form id (with or without '#')
+	 * @param {Object} [options] - the guard options
+	 * @param {Array<String>} [options.exclude=[]] - the names of fields whose changes are ignored
+	 * @param {String} [options.message] - the confirmation message
+	 * @param {Function} [options.confirm] - called with the message to ask for confirmation, returns a boolean or a Promise of one.
+	 *                                       Defaults to modal.confirm
+	 * @returns {Object|null} the guard: { isDirty, changes, reset, destroy }, or null if the form is not found
+	 */
+	const formGuard = (formId, {
+		exclude = [],
+		message = 'You have unsaved changes. Are you sure you want to leave this page?',
+		confirm = (text) => modal.confirm(text, { title: 'Unsaved changes', confirmText: 'Leave page' })
+	} = {}) => {
+		formId = formId.replace('#', '');
+		const form = document.getElementById(formId);
+
+		if (!form) {
+			console.error(`Form with ID '${formId}' not found!`);
+			return null;
+		}
+
+		// Hidden inputs carry server state (such as a rotated CSRF token) that the user did not change.
+		const _values = () => _fieldValues([...form.elements].filter(el =>
+			el.name && !['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type) && !exclude.includes(el.name)));
+
+		let _snapshot = _values();
+		let _dirty = false;
 
-	const video = (() => {
 		/**
-		 * Resets the form and shows an error message to the user when the response from the server
-		 * is invalid (e.g. the video URL is not valid or the video is already added).
-		 * @param {HTMLInputElement} input - The input element to add the is-invalid class to.
-		 * @param {HTMLSpanElement} btnSpinner - The spinner button element to hide.
-		 * @param {HTMLSpanElement} btnText - The text button element to show.
+		 * Lists the fields whose value differs from the snapshot.
+		 * @returns {Array<String>} the field names
 		 */
-		const _resetForm = (input, btnSpinner, btnText) => {
-			btnSpinner.classList.add('d-none');
-			btnText.classList.remove('d-none');
-			input.disabled = false;
+		const changes = () => {
+			const current = _values();
+			const names = new Set([...Object.keys(_snapshot), ...Object.keys(current)]);
+			return [...names].filter(name => JSON.stringify(current[name]) !== JSON.stringify(_snapshot[name]));
+		};
+
+		const isDirty = () => changes().length > 0;
+
+		const _update = () => {
+			const changed = changes();
+			if ((changed.length > 0) === _dirty) return;
+
+			_dirty = changed.length > 0;
+			form.dispatchEvent(new CustomEvent('eo:dirty', { detail: { dirty: _dirty, changes: changed } }));
 		};
 
 		/**
-		 * Resets the form and shows an error message to the user when the response from the server
-		 * is invalid (e.g. the video URL is not valid or the video is already added).
-		 * @param {HTMLInputElement} input - The input element to add the is-invalid class to.
-		 * @param {HTMLSpanElement} btnSpinner - The spinner element to hide.
-		 * @param {HTMLSpanElement} btnText - The text element to show.
-		 * @param {string} message - The error message to show to the user.
+		 * Takes a new snapshot of the form, so its current values are no longer changes.
 		 */
-		const _invalidResponse = (input, btnSpinner, btnText, message) => {
-			input.classList.add('is-invalid');
-			_resetForm(input, btnSpinner, btnText);
-			alert.error(message);
+		const reset = () => {
+			_snapshot = _values();
+			_update();
 		};
 
+		const onBeforeUnload = (event) => {
+			if (_navigationConfirmed || !isDirty()) return;
+
+			event.preventDefault();
+			event.returnValue = '';
+		};
+
+		const guard = { isDirty, message, confirm };
+
+		form.addEventListener('input', _update);
+		form.addEventListener('change', _update);
+		form.addEventListener('eo:submitted', reset);
+		window.addEventListener('beforeunload', onBeforeUnload);
+		_navigationGuards.add(guard);
+
+		return {
+			isDirty,
+			changes,
+			reset,
+			destroy: () => {
+				form.removeEventListener('input', _update);
+				form.removeEventListener('change', _update);
+				form.removeEventListener('eo:submitted', reset);
+				window.removeEventListener('beforeunload', onBeforeUnload);
+				_navigationGuards.delete(guard);
+			}
+		};
+	};
+
+	/**
+	 * Turns a container into a list of repeatable field groups (rows), created from a `<template>`.
+	 *
+	 * Names, ids and label `for` attributes of the template contain a placeholder (`items[__index__][qty]`) that is
+	 * replaced by the position of the row, and renumbered whenever rows are added, removed or moved. The rows are
+	 * always numbered in document order, so the submitted payload and wildcard validator rules (`items.*.qty`)
+	 * follow the order the user sees. Rows already in the container are adopted when they have the
+	 * `data-eo-repeater-row` attribute and are numbered from 0.
+	 *
+	 * Controls are wired by their `data-eo-repeater` attribute: 'add' anywhere in the container, and 'remove',
+	 * 'duplicate', 'up', 'down' and 'handle' (drag to reorder) inside a row.
+	 *
+	 * @param {HTMLElement|String} container - the container, or its CSS selector
+	 * @param {Object} [options] - the repeater options
+	 * @param {HTMLTemplateElement|String} [options.template] - the template of a row. Defaults to the first template in the container
+	 * @param {String} [options.rows] - the selector of the element that holds the rows. Defaults to
+	 *                                   `[data-eo-repeater-rows]`, or the container itself
+	 * @param {Number} [options.min=0] - the minimum number of rows. Missing rows are added right away
+	 * @param {Number} [options.max=Infinity] - the maximum number of rows
+	 * @param {String} [options.placeholder='__index__'] - the placeholder of the row index in the template
+	 * @param {Function} [options.onChange] - the callback function to call with (action, row) after a row was added, removed,
+	 *                                        duplicated or moved, or the rows were set
+	 * @returns {Object|null} the repeater: { add, remove, duplicate, move, set, rows, count, values, rules, destroy },
+	 *                        or null if the container is not found
+	 */
+	const repeater = (container, { template, rows: rowsSelector, min = 0, max = Infinity, placeholder = '__index__', onChange } = {}) => {
+		const root = typeof container === 'string' ? document.querySelector(container) : container;
+
+		if (!root) {
+			console.error(`Repeater '${container}' not found!`);
+			return null;
+		}
+
+		const templateElement = typeof template === 'string' ? document.querySelector(template) : template || root.querySelector('template');
+		if (!templateElement?.content?.firstElementChild) throw new Error('The repeater needs a <template> with a row element.');
+
+		const host = (rowsSelector ? root.querySelector(rowsSelector) : root.querySelector('[data-eo-repeater-rows]')) || root;
+		const attributes = ['name', 'id', 'for'];
+		const token = `[${placeholder}]`;
+
+		// The part of the names before the index, e.g. 'items' or 'invoice[items]'.
+		const sample = templateElement.content.querySelector(`[name*="${token}"]`)?.getAttribute('name') || '';
+		const prefix = sample.slice(0, sample.indexOf(token));
+
+		root.setAttribute('data-eo-repeater-root', '');
+
+		const rows = () => [...host.children].filter(el => el.hasAttribute('data-eo-repeater-row'));
+		const count = () => rows().length;
+		const _owns = (element) => element?.parentElement === host && element.hasAttribute('data-eo-repeater-row');
+		const _elements = (row) => [row, ...row.querySelectorAll('*')];
+		const _fields = (row) => [...row.querySelectorAll('input, select, textarea')].filter(el => el.name);
+
 		/**
-		 * Handles the click event of the add video button and adds the video to the
-		 * video list container if the YouTube URL is valid and the video is not already
-		 * added.
-		 * @private
+		 * Remembers the templated attributes of a row, so it can be renumbered.
+		 * @param {HTMLElement} row - the row
+		 * @param {Function} toPattern - converts a concrete attribute value into its pattern
 		 */
-		const _handleVideoAdd = (onBeforeSend, onSuccess) => {
-			document.addEventListener('click', (event) => {
+		const _remember = (row, toPattern = (value) => value) => {
+			row.setAttribute('data-eo-repeater-row', '');
+			_elements(row).forEach(el => attributes.forEach(attr => {
+				const pattern = el.hasAttribute(attr) ? toPattern(el.getAttribute(attr), attr) : null;
+				if (pattern?.includes(placeholder)) el.setAttribute(`data-eo-repeater-${attr}`, pattern);
+			}));
+		};
 
-				const btn = event.target.closest('.btn-add-video');
-				if (!btn) return;
-				
-				const input = document.querySelector('.youtubeUrl');
-				if (!input) return;
-				
-				const btnSpinner = btn.querySelector('.spinner-border');
-				const btnText = btn.querySelector('.btn-text');
-				const videoUrl = input.value.trim();
-				
-				btnSpinner.classList.remove('d-none');
-				btnText.classList.add('d-none');
-				input.disabled = true;
+		const _updateControls = () => {
+			const total = count();
+			const controls = (action) => [...root.querySelectorAll(`[data-eo-repeater="${action}"]`)]
+				.filter(el => el.closest('[data-eo-repeater-root]') === root);
 
-				if (!videoUrl) return _invalidResponse(input, btnSpinner, btnText, 'YouTube URL is required!');
-				
-				const videoData = getYoutubeVideoData(videoUrl);
+			controls('add').forEach(el => (el.disabled = total >= max));
+			controls('duplicate').forEach(el => (el.disabled = total >= max));
+			controls('remove').forEach(el => (el.disabled = total <= min));
+			controls('up').forEach(el => (el.disabled = el.closest('[data-eo-repeater-row]') === rows()[0]));
+			controls('down').forEach(el => (el.disabled = el.closest('[data-eo-repeater-row]') === rows()[total - 1]));
+		};
 
-				const _handleBeforeSend = async () => {
-					if (typeof onBeforeSend === "function") {
-						const result = await onBeforeSend(videoData);
-						if (result instanceof Promise) {
-							return result.then((resolvedResult) => {
-								if (resolvedResult === false) {
-									_resetForm(input, btnSpinner, btnText);
-									return false;
-								}
-								return true;
-							});
-						} else {
-							// Handle synchronous return
-							if (result === false) {
-								_resetForm(input, btnSpinner, btnText);
-								return false;
-							}
-						}
-					}
-					return true;
-				};
+		const _renumber = () => {
+			rows().forEach((row, index) => {
+				row.dataset.eoRepeaterIndex = index;
+				_elements(row).forEach(el => attributes.forEach(attr => {
+					const pattern = el.getAttribute(`data-eo-repeater-${attr}`);
+					if (pattern) el.setAttribute(attr, pattern.split(placeholder).join(index));
+				}));
+			});
+			_updateControls();
+		};
 
-				_handleBeforeSend().then((shouldProceed) => {
-					if (!shouldProceed) return;
-					
-					if (!videoData || !videoData.id) return _invalidResponse(input, btnSpinner, btnText, videoData?.message || 'Invalid YouTube URL!');
-					if (document.querySelector(`.${CSS.escape(videoData.id)}`)) return _invalidResponse(input, btnSpinner, btnText, 'Video already added!');
-					
-					const videoContainer = createElements('div', { class: videoData.id, 'data-id': videoData.id }, [
-						createHiddenInput(`videos[${videoData.id}][id]`, videoData.id),
-						createHiddenInput(`videos[${videoData.id}][url]`, videoData.url),
-						createHiddenInput(`videos[${videoData.id}][embed]`, videoData.embed),
-						...Object.entries(videoData.thumbnail || {}).map(([key, value]) => createHiddenInput(`videos[${videoData.id}][thumbnail][${key}]`, value)),
-						createHiddenInput(`videos[${videoData.id}][created_at]`, Date.now().toString()),
-						createElements('div', {
-							class: 'position-relative p-2 cursor-pointer text-white',
-							style: `width: 15rem; height: 9.5rem; background-size: cover; background-position: center; background-image: url(${videoData.thumbnail?.sd || ''});`
-						}, [
-							createElements('div', { class: 'position-absolute top-0 end-0 btn-delete-container p-2' }, [
-								createElements('span', { class: 'btn btn-danger btn-sm btn-remove-video', 'data-id': videoData.id }, [ document.createTextNode('X') ])
-							]),
-							createElements('div', {
-								class: 'btn-playback position-absolute top-50 start-50 translate-middle text-center',
-								'data-id': videoData.id,
-								'data-url': videoData.url,
-								'data-embed': videoData.embed,
-							}, [
-								createElements('i', { class: 'ti ti-brand-youtube fs-48' })
-							])
-						])
-					]);
+		// Drafts, dirty tracking and live validation listen for change events on the form.
+		const _changed = (action, row) => {
+			onChange?.(action, row);
+			root.dispatchEvent(new CustomEvent('eo:repeater', { bubbles: true, detail: { action, row } }));
+			root.dispatchEvent(new Event('change', { bubbles: true }));
+		};
 
-					document.querySelector('.video-list-container')?.prepend(videoContainer);
-					input.value = '';
-					input.classList.remove('is-invalid');
-					onSuccess?.(videoData);
-					_resetForm(input, btnSpinner, btnText);
-				});
+		/**
+		 * Fills the fields of a row with the values of a row object, e.g. { qty: 2, sku: 'A1' }.
+		 * @param {HTMLElement} row - the row
+		 * @param {Object} data - the row values
+		 */
+		const _fill = (row, data) => {
+			const index = Number(row.dataset.eoRepeaterIndex);
+			const nested = _nameSegments(prefix).filter(Boolean).reduceRight((value, segment) => ({ [segment]: value }), { [index]: data });
+			fillForm(row, prefix ? nested : data);
+		};
 
-			});
+		const _insert = (data, after) => {
+			if (count() >= max) return null;
+
+			const row = templateElement.content.firstElementChild.cloneNode(true);
+			_remember(row);
+			after ? after.after(row) : host.appendChild(row);
+			_renumber();
+
+			if (data) _fill(row, data);
+			return row;
 		};
 
 		/**
-		 * Handles video playback by listening for clicks on the video thumbnails and
-		 * opening a modal with the video player.
-		 *
-		 * @private
-		 * @function
+		 * Adds a row.
+		 * @param {Object} [data] - the values of the row
+		 * @param {HTMLElement} [after] - the row after which the new row is inserted. Defaults to the end
+		 * @returns {HTMLElement|null} the row, or null if the maximum is reached
 		 */
-		const _handleVideoPlayback = (onPlayBack) => {
-			document.addEventListener('click', (event) => {
-				const btn = event.target.closest('.btn-playback');
-				if (!btn) return;
+		const add = (data, after) => {
+			const row = _insert(data, after);
+			if (row) _changed('add', row);
+			return row;
+		};
 
-				modal.create({
-					id: btn.dataset.id,
-					size: 'fullscreen',
-					callback: () => createElements('div', { class: 'row justify-content-center' }, [
-						createElements('div', { class: 'col-xl-8 col-lg-8 col-md-8 col-sm-12 col-12' }, [
-							createElements('iframe', {
-								class: 'w-100', height: '560', src: btn.dataset.embed,
-								title: 'YouTube video player', frameborder: '0',
-								allow: 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture;',
-								referrerpolicy: 'strict-origin-when-cross-origin', allowfullscreen: ''
-							}),
-							createElements('div', { class: 'text-center' }, [
-								createElements('span', { class: 'btn mt-3', 'data-bs-dismiss': 'modal' }, [
-									createElements('i', { class: 'ti ti-x me-1' }),
-									document.createTextNode(' Close')
-								])
-							])
-						])
-					]),
-					status: 'info',
-					destroyable: true
-				});
+		/**
+		 * Removes a row. The focus moves to the next row, or to the add control.
+		 * @param {HTMLElement|Number} row - the row, or its index
+		 * @returns {Boolean} whether the row was removed
+		 */
+		const remove = (row) => {
+			row = typeof row === 'number' ? rows()[row] : row;
+			if (!_owns(row) || count() <= min) return false;
 
-				document.getElementById(btn.dataset.id).querySelector('.modal-content').style.backgroundColor = 'rgba(0, 0, 0, 1)';
-				onPlayBack?.({
-					id: btn.dataset.id,
-					url: btn.dataset.url,
-					embed: btn.dataset.embed
-				});
+			const hadFocus = row.contains(document.activeElement);
+			const next = rows()[rows().indexOf(row) + 1] || rows()[rows().indexOf(row) - 1];
+
+			row.remove();
+			_renumber();
+
+			if (hadFocus) (next?.querySelector('input, select, textarea, button') || root.querySelector('[data-eo-repeater="add"]'))?.focus();
+			_changed('remove', row);
+			return true;
+		};
+
+		/**
+		 * Inserts a copy of a row, with its current values, right after it.
+		 * @param {HTMLElement|Number} row - the row, or its index
+		 * @returns {HTMLElement|null} the copy, or null if the maximum is reached
+		 */
+		const duplicate = (row) => {
+			row = typeof row === 'number' ? rows()[row] : row;
+			if (!_owns(row) || count() >= max) return null;
+
+			const values = _fieldValues(_fields(row));
+			const copy = _insert(undefined, row);
+
+			// The copy has the same fields as the row, under the next index.
+			const data = {};
+			_fields(row).forEach(el => {
+				const target = copy.querySelector(`[data-eo-repeater-name="${_escapeAttribute(el.getAttribute('data-eo-repeater-name') || '')}"]`);
+				if (target) data[target.name] = values[el.name];
 			});
+			fillForm(copy, data);
+
+			_changed('duplicate', copy);
+			return copy;
 		};
 
 		/**
-		 * Attaches a click event listener to the document to handle video deletion.
-		 * 
-		 * This function listens for clicks on elements with the class 'btn-remove-video'.
-		 * When clicked, it removes the corresponding video element from the DOM using 
-		 * the data-id attribute of the clicked button.
-		 * 
-		 * @private
+		 * Moves a row by an offset.
+		 * @param {HTMLElement|Number} row - the row, or its index
+		 * @param {Number} offset - e.g. -1 to move it up, 1 to move it down
+		 * @returns {Boolean} whether the row moved
 		 */
-		const _handleVideoDeletion = (onRemove) => {
-			document.addEventListener('click', (event) => {
-				const btn = event.target.closest('.btn-remove-video');
-				if (btn) document.querySelector(`.${CSS.escape(btn.dataset.id)}`)?.remove();
-				if (btn) onRemove?.(btn.dataset.id);
-			});
+		const move = (row, offset) => {
+			row = typeof row === 'number' ? rows()[row] : row;
+			const all = rows();
+			const target = all.indexOf(row) + offset;
+			if (!_owns(row) || target < 0 || target >= all.length || offset === 0) return false;
+
+			offset > 0 ? all[target].after(row) : all[target].before(row);
+			_renumber();
+			_changed('move', row);
+			return true;
 		};
 
 		/**
-		 * Creates the video form element.
-		 *
-		 * @private
-		 * @function
+		 * Replaces every row with rows filled from an array of row objects. The minimum number of rows is kept.
+		 * @param {Array<Object>} [items=[]] - the row values
 		 */
-		const _createVideoForm = () => {
-			const container = document.getElementById('videoInput');
-			if (!container) return;
-
-			container.appendChild(createElements('div', { class: 'd-flex gap-1' }, [
-				createElements('div', { class: 'form-floating flex-fill' }, [
-					createElements('input', {
-						type: 'text', id: 'youtubeUrl', class: 'form-control youtubeUrl',
-						placeholder: '', 'aria-label': 'YouTube URL', 'aria-describedby': 'basic-addon1'
-					}),
-					createElements('label', { for: 'youtubeUrl' }, [
-						createElements('i', { class: 'ti ti-brand-youtube' }),
-						document.createTextNode(' Paste YouTube URL')
-					])
-				]),
-				createElements('span', { class: 'btn btn-primary btn-add-video' }, [
-					createElements('span', { class: 'spinner-border spinner-border-sm d-none', role: 'status', 'aria-hidden': 'true' }),
-					createElements('span', { class: 'btn-text fs-18' }, [
-						createElements('i', { class: 'ti ti-plus me-1' }),
-						document.createTextNode(' Add Video')
-					])
-				])
-			]));
+		const set = (items = []) => {
+			rows().forEach(row => row.remove());
+			items.slice(0, max).forEach(item => _insert(item));
+			while (count() < min) _insert();
+			_renumber();
+			_changed('set', null);
 		};
 
-		return {
-			
-			/**
-			 * Initializes the video module by creating the form elements for inputting
-			 * YouTube URLs and adding them to the page.
-			 * @function
-			 */
-			init: ({ onBeforeSend, onSuccess, onRemove, onPlayback } = {}) => {
-				_createVideoForm();
-				_handleVideoAdd(onBeforeSend, onSuccess);
-				_handleVideoPlayback(onPlayback);
-				_handleVideoDeletion(onRemove);
-			}
+		/**
+		 * Reads the rows as an array of row objects, in their order.
+		 * @param {Object} [options] - the options of `serializeFormData`, e.g. { coerce: true }
+		 * @returns {Array<Object>} the row values
+		 */
+		const values = ({ coerce = false } = {}) => {
+			const entries = rows().flatMap(row => _fields(row).filter(el => !el.disabled).flatMap(el => {
+				if (el.type === 'checkbox' || el.type === 'radio') return el.checked ? [{ name: el.name, value: el.value }] : [];
+				if (el.type === 'select-multiple') return [...el.selectedOptions].map(option => ({ name: el.name, value: option.value }));
+				if (el.type === 'file') return [];
+				return [{ name: el.name, value: _fieldEditor(el)?.getContent() ?? el.value }];
+			}));
+
+			const data = serializeFormData(entries, { nested: true, coerce });
+			const list = _nameSegments(prefix).filter(Boolean).reduce((value, segment) => value?.[segment], data);
+			return Array.isArray(list) ? list : [];
 		};
-	})();
 
-	const alert = function () {
 		/**
-		 * Displays a message in the specified container element on the webpage.
-		 *
-		 * @param {string} message - The message to be displayed.
-		 * @param {string} element - The CSS selector of the container where the message will be displayed.
-		 *                           If the container does not exist, a new one will be created.
+		 * Builds wildcard validator rules for the fields of a row: { qty: {...} } → { 'items.*.qty': {...} }.
+		 * @param {Object} rowRules - the rules keyed by the path of the field inside the row
+		 * @returns {Object} the validator rules
 		 */
-		const _display = (message, element) => {
-			const messageContainer = document.querySelector(element);
+		const rules = (rowRules) => {
+			const base = [..._nameSegments(prefix).filter(Boolean), '*'].join('.');
+			return Object.fromEntries(Object.entries(rowRules).map(([field, ruleset]) => [`${base}.${field}`, ruleset]));
+		};
 
-			if (!messageContainer) {
-				document.body.prepend(createElements('div', { class: 'response' }));
+		const onClick = (event) => {
+			const control = event.target.closest('[data-eo-repeater]');
+			if (!control || control.closest('[data-eo-repeater-root]') !== root || control.disabled) return;
+
+			const row = control.closest('[data-eo-repeater-row]');
+			const action = control.dataset.eoRepeater;
+			if (action === 'handle') return;
+
+			event.preventDefault();
+			if (action === 'add') add();
+			else if (action === 'remove') remove(row);
+			else if (action === 'duplicate') duplicate(row);
+			else if (action === 'up') move(row, -1);
+			else if (action === 'down') move(row, 1);
+		};
+
+		// Rows are only draggable by their handle, so text in the inputs can still be selected.
+		let _dragged = null;
+
+		const onPointerDown = (event) => {
+			const row = event.target.closest('[data-eo-repeater="handle"]')?.closest('[data-eo-repeater-row]');
+			if (_owns(row)) row.draggable = true;
+		};
+
+		const onDragStart = (event) => {
+			if (!_owns(event.target) || !event.target.draggable) return;
+
+			_dragged = event.target;
+			_dragged.classList.add('eo-repeater-dragging');
+			if (event.dataTransfer) {
+				event.dataTransfer.effectAllowed = 'move';
+				event.dataTransfer.setData('text/plain', '');
 			}
+		};
 
-			document.querySelector(element).innerHTML = message;
+		const onDragOver = (event) => {
+			if (!_dragged) return;
+			event.preventDefault();
+
+			const row = event.target.closest?.('[data-eo-repeater-row]');
+			if (!_owns(row) || row === _dragged) return;
+
+			const { top, height } = row.getBoundingClientRect();
+			event.clientY > top + height / 2 ? row.after(_dragged) : row.before(_dragged);
 		};
 
-		/**
-		 * Creates and displays an alert message on the webpage.
-		 * 
-		 * @param {string} message - The message to be displayed in the alert.
-		 * @param {string} [type='success'] - The type of alert, which determines its styling (e.g., 'success', 'danger').
-		 * @param {string} [element='.response'] - The CSS selector of the container where the alert will be displayed.
-		 */
-		const _createAlert = (message, type = 'success', element = '.response') => {
-			const alertIcons = {
-				success: createElements('i', { class: 'ti ti-check' }),
-				info: createElements('i', { class: 'ti ti-info-circle' }),
-				warning: createElements('i', { class: 'ti ti-alert-triangle' }),
-				danger: createElements('i', { class: 'ti ti-x' })
-			};
-			const alertClasses = `message alert alert-${type} alert-dismissible show`;
-			const alertDiv = createElements('div', { class: alertClasses, role: 'alert' }, [
-				createElements('div', { class: 'alert-icon float-start w-1', style: 'margin-top: 1px' }, [ alertIcons[type] ]),
-				createElements('span', { class: `alert-description text-${type}` }, [document.createTextNode(message)]),
-				createElements('button', {
-					type: 'button', class: 'btn-close',
-					'data-bs-dismiss': 'alert', 'aria-label': 'Close'
-				})
-			]);
+		const onDragEnd = () => {
+			if (!_dragged) return;
 
-			_display(alertDiv.outerHTML, element);
+			const row = _dragged;
+			_dragged = null;
+			row.draggable = false;
+			row.classList.remove('eo-repeater-dragging');
+			_renumber();
+			_changed('move', row);
 		};
 
-		const success = (message, element = '.response') => _createAlert(message, 'success', element);
-		const error = (message, element = '.response') => _createAlert(message, 'danger', element);
+		const onDrop = (event) => _dragged && event.preventDefault();
+
+		root.addEventListener('click', onClick);
+		host.addEventListener('pointerdown', onPointerDown);
+		host.addEventListener('dragstart', onDragStart);
+		host.addEventListener('dragover', onDragOver);
+		host.addEventListener('drop', onDrop);
+		host.addEventListener('dragend', onDragEnd);
+
+		// Server-rendered rows carry concrete indexes: items[2][qty] → items[__index__][qty], qty-2 → qty-__index__.
+		rows().forEach((row, index) => _remember(row, (value, attr) => attr === 'name'
+			? value.replace(`[${index}]`, token)
+			: value.replace(new RegExp(`(^|\\D)${index}(?=\\D|$)`), `$1${placeholder}`)));
+
+		while (count() < min) _insert();
+		_renumber();
+
+		return {
+			add,
+			remove,
+			duplicate,
+			move,
+			set,
+			rows,
+			count,
+			values,
+			rules,
+			destroy: () => {
+				root.removeEventListener('click', onClick);
+				host.removeEventListener('pointerdown', onPointerDown);
+				host.removeEventListener('dragstart', onDragStart);
+				host.removeEventListener('dragover', onDragOver);
+				host.removeEventListener('drop', onDrop);
+				host.removeEventListener('dragend', onDragEnd);
+				root.removeAttribute('data-eo-repeater-root');
+			}
+		};
+	};
+
+	const formConditions = (() => {
+		const _effects = ['show', 'hide', 'enable', 'disable', 'require'];
+		const _attributeSelector = _effects.map(effect => `[data-eo-${effect}-if]`).join(', ');
+		const _instances = new WeakMap();
+		const _parsed = new Map();
 
 		/**
-		 * Displays a processing loader with a message in the specified container element on the webpage.
-		 *
-		 * @param {string} [message='Processing, Please wait...'] - The message to be displayed with the loader.
-		 * @param {string} [element='.response'] - The CSS selector of the container where the loader will be displayed.
+		 * Tests one term of a condition against the value of its field.
+		 * @param {{negate: boolean, operator: string, values: Array<string>}} term - The parsed term
+		 * @param {*} value - The field value. Checkbox groups and multi-selects give an array
+		 * @returns {boolean} The result
 		 */
-		const loader = (message = 'Processing, Please wait...', element = '.response') => {
-			const loaderDiv = createElements('div', { class: 'bg-white p-3 mt-3 rounded border' }, [
-				createElements('div', { class: 'd-flex gap-3 align-items-center' }, [
-					createElements('div', { class: 'loader' }),
-					createElements('p', { class: 'mb-0' }, [document.createTextNode(message)])
-				])
-			]);
+		const _test = ({ negate, operator, values }, value) => {
+			const current = [].concat(value ?? []).map(String).filter(item => item !== '');
+			const [number, limit] = [Number(current[0]), Number(values[0])];
 
-			_display(loaderDiv.outerHTML, element);
+			// `field=` matches an empty field.
+			const equals = () => values.length === 1 && values[0] === ''
+				? current.length === 0
+				: current.some(item => values.includes(item));
+
+			let result;
+			switch (operator) {
+				case '=': result = equals(); break;
+				case '!=': result = !equals(); break;
+				case '>': result = number > limit; break;
+				case '>=': result = number >= limit; break;
+				case '<': result = number < limit; break;
+				case '<=': result = number <= limit; break;
+				default: result = current.length > 0;
+			}
+
+			return negate ? !result : result;
 		};
 
 		/**
-		 * Creates and displays an alert message on the webpage.
-		 * 
-		 * @param {string} message - The message to be displayed in the alert.
-		 * @param {string} type - The type of alert, which determines its styling (e.g., 'success', 'danger').
-		 * @param {string} [element='.response'] - The CSS selector of the container where the alert will be displayed.
+		 * Parses a condition such as `type=other`, `type=rent,sale && !furnished` or `price>=1000 || featured`.
+		 * `&&` binds tighter than `||`. A term without an operator tests that the field has a value, `!` negates a term,
+		 * and a comma-separated list matches any of its values.
+		 * @param {string} expression - The condition
+		 * @returns {function(function): boolean} Tests the condition with a function that reads field values by name
 		 */
-		const message = (message, type, element = '.response') => {
-			_createAlert(message, type, element);
-		};
+		const _parse = (expression) => {
+			if (_parsed.has(expression)) return _parsed.get(expression);
 
-		const destroy = (element) => {
-			document.querySelector(element).innerHTML = '';
-		}
+			const any = expression.split('||').map(part => part.split('&&').map(term => {
+				const match = term.trim().match(/^(!?)\s*([^!=<>\s]+)\s*(?:(!=|>=|<=|=|>|<)\s*(.*))?$/);
+				if (!match) throw new Error(`Invalid condition '${term.trim()}' in '${expression}'.`);
 
-		return {
-			success,
-			error,
-			loader,
-			message,
-			destroy
+				const [, negate, field, operator, value] = match;
+				return { negate: !!negate, field, operator, values: operator ? value.split(',').map(item => item.trim()) : [] };
+			}));
+
+			const test = (read) => any.some(all => all.every(term => _test(term, read(term.field))));
+			_parsed.set(expression, test);
+			return test;
 		};
-	}();
 
-	const button = (() => {
 		/**
-		 * Sets the state of a set of buttons or clickable elements identified by the given selector.
-		 * @param {string} selector - The CSS selector to identify the elements to modify.
-		 * @param {boolean} disabled - Whether to disable the elements or not.
-		 * @returns {undefined}
+		 * Compiles a condition of a rules object: a string, a function called with the reader, or { all: [...] } / { any: [...] }.
+		 * @param {string|function|object} condition - The condition
+		 * @returns {function(function): boolean} The compiled condition
 		 */
-		const setState = (selector, disabled) => {
-			document.querySelectorAll(selector).forEach(el => {
-				Object.assign(el.style, {
-					cursor: disabled ? 'wait' : '',
-					pointerEvents: disabled ? 'none' : '',
-					opacity: disabled ? 0.5 : '',
+		const _compile = (condition) => {
+			if (typeof condition === 'string') return _parse(condition);
+			if (typeof condition === 'function') return condition;
+			if (condition?.all) return (read) => condition.all.map(_compile).every(test => test(read));
+			if (condition?.any) return (read) => condition.any.map(_compile).some(test => test(read));
+			throw new Error('A condition must be a string, a function, or an object with `all` or `any`.');
+		};
+
+		const _isField = (el) => el.matches('input, select, textarea');
+		const _fieldsOf = (el) => _isField(el) ? [el] : [...el.querySelectorAll('input, select, textarea')];
+
+		/**
+		 * Applies conditional visibility, enablement and requirement to a form, declared with `data-eo-*-if` attributes
+		 * (`data-eo-show-if="type=other"`) or a rules object keyed by field name or CSS selector.
+		 *
+		 * Hidden elements get the `d-none` class, and their fields are disabled, so they are not submitted and
+		 * `serializeFormData` and `validator` skip them. Required fields get a `required` rule in the validator.
+		 * Conditions are evaluated again on every input and change in the form.
+		 *
+		 * @param {HTMLFormElement|string} form - The form, or its id (with or without '#')
+		 * @param {object} [rules] - { [name or selector]: { show, hide, enable, disable, require } }. A field name targets
+		 *                           the closest `[data-eo-field]`, `.form-group`, `.mb-3` or `.form-check` for show and hide
+		 * @returns {{evaluate: function, destroy: function}|null} The conditions, or null if the form is not found
+		 */
+		const apply = (form, rules = {}) => {
+			if (typeof form === 'string') form = document.getElementById(form.replace('#', ''));
+
+			if (!form) {
+				console.error('Form not found!');
+				return null;
+			}
+
+			_instances.get(form)?.destroy();
+
+			const _named = (name) => [...form.querySelectorAll(`[name="${_escapeAttribute(name)}"], [name="${_escapeAttribute(name)}[]"]`)];
+
+			// A field disabled by a condition has no value, so conditions can depend on each other.
+			const read = (name) => {
+				const fields = _named(name).filter(el => !el.hasAttribute('data-eo-disabled'));
+				return fields.length ? Object.values(_fieldValues(fields))[0] : null;
+			};
+
+			const compiled = Object.entries(rules).map(([target, effects]) => ({
+				elements: /^[#.[]/.test(target)
+					? () => [...form.querySelectorAll(target)]
+					: () => _named(target),
+				wrap: !/^[#.[]/.test(target),
+				tests: Object.fromEntries(_effects.filter(effect => effect in effects).map(effect => [effect, _compile(effects[effect])]))
+			}));
+
+			const _declared = () => [...form.querySelectorAll(_attributeSelector)].map(el => ({
+				elements: () => [el],
+				wrap: false,
+				tests: Object.fromEntries(_effects
+					.filter(effect => el.hasAttribute(`data-eo-${effect}-if`))
+					.map(effect => [effect, _parse(el.getAttribute(`data-eo-${effect}-if`))]))
+			}));
+
+			const _apply = () => {
+				let changed = false;
+				const toggle = (el, attribute, on) => {
+					if (el.hasAttribute(attribute) === on) return;
+					el.toggleAttribute(attribute, on);
+					changed = true;
+				};
+
+				// An element targeted by several conditions is hidden, disabled or required if any of them says so.
+				const hidden = new Map();
+				const inactive = new Map();
+				const required = new Map();
+				const merge = (map, el, on) => map.set(el, map.get(el) || on);
+
+				[...compiled, ..._declared()].forEach(({ elements, wrap, tests }) => elements().forEach(el => {
+					if (tests.show || tests.hide) {
+						const target = wrap ? el.closest('[data-eo-field], .form-group, .mb-3, .form-check') || el : el;
+						merge(hidden, target, tests.show ? !tests.show(read) : tests.hide(read));
+					}
+
+					if (tests.enable || tests.disable) {
+						const off = tests.enable ? !tests.enable(read) : tests.disable(read);
+						_fieldsOf(el).forEach(field => merge(inactive, field, off));
+					}
+
+					if (tests.require) {
+						const on = tests.require(read);
+						_fieldsOf(el).forEach(field => merge(required, field, on));
+					}
+				}));
+
+				hidden.forEach((on, el) => {
+					toggle(el, 'data-eo-hidden', on);
+					el.classList.toggle('d-none', on);
 				});
-				el.disabled = disabled;
-			});
+				inactive.forEach((on, field) => toggle(field, 'data-eo-inactive', on));
+				required.forEach((on, field) => {
+					toggle(field, 'data-eo-required', on);
+					on ? field.setAttribute('aria-required', 'true') : field.removeAttribute('aria-required');
+				});
+
+				// Disabled fields are left out of FormData. Fields disabled by the markup are left alone.
+				[...form.elements].forEach(field => {
+					const off = !!field.closest('[data-eo-hidden]') || field.hasAttribute('data-eo-inactive');
+
+					if (off && !field.disabled) {
+						field.disabled = true;
+						field.setAttribute('data-eo-disabled', '');
+						field.classList.remove('is-invalid', 'is-valid');
+						field.removeAttribute('aria-invalid');
+						field.parentNode?.querySelector('.invalid-feedback')?.remove();
+						changed = true;
+					} else if (!off && field.hasAttribute('data-eo-disabled')) {
+						field.disabled = false;
+						field.removeAttribute('data-eo-disabled');
+						changed = true;
+					}
+				});
+
+				return changed;
+			};
+
+			/**
+			 * Evaluates every condition. Conditions that depend on fields shown or hidden by other conditions settle within a few passes.
+			 */
+			const evaluate = () => {
+				for (let pass = 0; pass < 5 && _apply(); pass++);
+			};
+
+			form.addEventListener('input', evaluate);
+			form.addEventListener('change', evaluate);
+			evaluate();
+
+			const instance = {
+				evaluate,
+				destroy: () => {
+					form.removeEventListener('input', evaluate);
+					form.removeEventListener('change', evaluate);
+					_instances.delete(form);
+				}
+			};
+
+			_instances.set(form, instance);
+			return instance;
 		};
 
 		return {
-			disable: (selector = '.btn') => setState(selector, true),
-			enable: (selector = '.btn') => setState(selector, false)
+			/**
+			 * Applies the `data-eo-*-if` attributes of every form on the page.
+			 */
+			_initBeforeLoad: () => {
+				document.querySelectorAll('form').forEach(form => {
+					if (!_instances.has(form) && form.querySelector(_attributeSelector)) apply(form);
+				});
+			},
+			apply
 		};
 	})();
 
 	/**
-	 * Submits the given form id, handles validation, redirects, and callbacks
+	 * Autosaves the fields of a form to storage and restores them on the next visit.
 	 *
-	 * @param {String} formId - the form id to submit
-	 * @param {{ rules: Object, callback: Function, onBeforeSend: Function, redirectUrl: String  }} [options] - options for the submission
-	 * @param {{ rules: Object }} [options.rules] - the rules object
-	 * @param {Function} [options.callback] - the callback function to call on success
-	 * @param {Function} [options.onBeforeSend] - the callback function to call before sending
-	 * @param {String} [options.redirectUrl] - the url to redirect to on success
-	 * @returns {JQueryPromise} - the promise returned by $.post
+	 * Values are saved on input and change, including checkboxes, radios, multi-selects and TinyMCE editors.
+	 * Password, file and hidden inputs are never saved: hidden inputs usually carry server state such as the CSRF token.
+	 * When a draft exists, a notice at the top of the form offers to restore or discard it. The draft is
+	 * cleared once `submitForm` succeeds or queues the form.
+	 *
+	 * @param {String} formId - the form id (with or without '#')
+	 * @param {Object} [options] - the draft options
+	 * @param {String} [options.key] - the storage key. Defaults to the path of the page and the form id
+	 * @param {Number} [options.debounce=500] - the delay in milliseconds between the last change and the save
+	 * @param {Array<String>} [options.exclude=[]] - the names of further fields not to save
+	 * @param {Storage} [options.storage=localStorage] - the storage, e.g. sessionStorage
+	 * @param {Boolean|String} [options.restore='prompt'] - 'prompt' offers to restore the draft, true restores it, false does neither
+	 * @param {Function} [options.onRestore] - the callback function to call with the draft once it is restored
+	 * @returns {Object|null} the draft: { key, save, restore, clear, get, destroy }, or null if the form is not found
 	 */
-	const submitForm = (formId, { rules, callback, onBeforeSend, redirectUrl, onError, onComplete, redirectTimeout = 3000, alertContainerType = 'modal' } = {}) => {
+	const formDraft = (formId, { key, debounce = 500, exclude = [], storage = localStorage, restore: restoreMode = 'prompt', onRestore } = {}) => {
 		formId = formId.replace('#', '');
 		const form = document.getElementById(formId);
 
 		if (!form) {
 			console.error(`Form with ID '${formId}' not found!`);
-			return;
+			return null;
 		}
 
-		document.addEventListener('submit', (event) => {
-			if (event.target.id === formId) event.preventDefault();
-		});
-
-		const formData = new FormData(form);
-		CSRFToken ? formData.append('csrf_token', CSRFToken) : null;
-
-		onBeforeSend?.(formData);
+		const storageKey = key || `eoFormDraft:${window.location.pathname}#${formId}`;
+		const excludedTypes = ['password', 'file', 'hidden', 'submit', 'button', 'reset', 'image'];
+		let timer = null;
 
-		const isAlert = alertContainerType === 'alert';
+		const _fields = () => [...form.elements].filter(el =>
+			el.name && !excludedTypes.includes(el.type) && !exclude.includes(el.name));
 
-		return post(form.getAttribute('action'), formData, {
-			onBeforeSend: () => {
-				isAlert ? alert.loader() : modal.alert.loader();
-				button.disable();
+		/**
+		 * Reads the stored draft. A corrupted draft is treated as missing.
+		 * @returns {{savedAt: Number, values: Object}|null} the draft
+		 */
+		const get = () => {
+			try {
+				return JSON.parse(storage.getItem(storageKey));
+			} catch {
+				return null;
+			}
+		};
 
-				if (typeof rules === 'object') {
-					const validation = validator.validate(serializeFormData(formData), rules);
-					if (!validation) {
+		const save = () => {
+			clearTimeout(timer);
+			try {
+				storage.setItem(storageKey, JSON.stringify({ savedAt: Date.now(), values: _fieldValues(_fields()) }));
+			} catch (error) {
+				console.warn('Unable to save the form draft:', error);
+			}
+		};
 
-						modal.alert.close();
-						isAlert
-							? alert.error(validator.getErrors().join(', '))
-							: (() => {
-								modal.alert.error('');
+		const clear = () => {
+			clearTimeout(timer);
+			storage.removeItem(storageKey);
+			form.querySelector('.eo-form-draft')?.remove();
+		};
 
-								const modalElement = document.querySelector('.response-modal .message-container');
-								if (!modalElement) return;
+		/**
+		 * Fills the form with the stored draft. A change event is dispatched on every restored field.
+		 * @returns {Boolean} whether a draft was restored
+		 */
+		const restore = () => {
+			const draft = get();
+			form.querySelector('.eo-form-draft')?.remove();
+			if (!draft?.values) return false;
 
-								const list = createElements('ul', { class: '' }, 
-									validator.getErrors().map(msg => createElements('li', {}, [msg]))
-								);
+			// The draft only holds the saved fields, so excluded fields stay untouched.
+			fillForm(form, draft.values);
 
-								const container = createElements('div', { class: 'error-container' }, [list]);
+			onRestore?.(draft);
+			return true;
+		};
 
-								modalElement.appendChild(container);
-							})(); 
-						
-						button.enable();
-						return false;
-					}
-				}
-			},
-			onSuccess: (responseData) => {
-				try {
-					const response = typeof responseData === 'object' ? responseData : JSON.parse(responseData);
-					isAlert
-						? alert.message(response.message)
-						: modal.alert.message(response.message);
-					
-					callback?.(serializeFormData(formData), response);
-				} catch (e) {
-					alert.destroy('.response');
-					callback?.(serializeFormData(formData), responseData, e);
-				}
+		const _prompt = (draft) => {
+			const notice = createElements('div', { class: 'eo-form-draft alert alert-info d-flex align-items-center gap-2', role: 'status' }, [
+				createElements('span', { class: 'me-auto' }, [`You have an unsaved draft from ${readableDate(draft.savedAt)}.`]),
+				createElements('button', { type: 'button', class: 'btn btn-sm btn-primary', 'data-eo-draft': 'restore' }, ['Restore']),
+				createElements('button', { type: 'button', class: 'btn btn-sm btn-outline-secondary', 'data-eo-draft': 'discard' }, ['Discard'])
+			]);
 
-				if (redirectUrl || (responseData && responseData.redirect)) {
-					setTimeout(() => redirect(redirectUrl ?? responseData.redirect), redirectTimeout);
-				}
-			},
-			onError: (message, rawResponse) => {
-				if ((rawResponse && rawResponse.redirect)) {
-					setTimeout(() => redirect(rawResponse.redirect), redirectTimeout);
-				}
+			notice.addEventListener('click', (event) => {
+				const action = event.target.closest('[data-eo-draft]')?.dataset.eoDraft;
+				if (action === 'restore') restore();
+				if (action === 'discard') clear();
+			});
 
-				isAlert
-					? alert.error(message)
-					: modal.alert.error(message);
+			form.prepend(notice);
+		};
 
-				onError?.(message, rawResponse);
-			},
-			onComplete: () => {
-				modal.alert.close();
-				button.enable();
-				onComplete?.();
+		const schedule = (event) => {
+			if (event?.target?.closest?.('.eo-form-draft')) return;
+
+			clearTimeout(timer);
+			timer = setTimeout(save, debounce);
+		};
+
+		// TinyMCE edits happen inside an iframe, so the form never sees their input events.
+		const editors = new Set();
+		const _watchEditor = (editor) => {
+			if (!form.contains(editor.getElement?.())) return;
+
+			editor.on('input change', schedule);
+			editors.add(editor);
+		};
+		const onAddEditor = ({ editor }) => _watchEditor(editor);
+
+		if (typeof tinymce === 'object') {
+			tinymce.get?.().forEach?.(_watchEditor);
+			tinymce.on?.('AddEditor', onAddEditor);
+		}
+
+		form.addEventListener('input', schedule);
+		form.addEventListener('change', schedule);
+		form.addEventListener('eo:submitted', clear);
+
+		const draft = get();
+		if (draft?.values && restoreMode === 'prompt') _prompt(draft);
+		else if (draft?.values && restoreMode === true) restore();
+
+		return {
+			key: storageKey,
+			save,
+			restore,
+			clear,
+			get,
+			destroy: () => {
+				clearTimeout(timer);
+				form.removeEventListener('input', schedule);
+				form.removeEventListener('change', schedule);
+				form.removeEventListener('eo:submitted', clear);
+				form.querySelector('.eo-form-draft')?.remove();
+				editors.forEach(editor => editor.off('input change', schedule));
+				if (typeof tinymce === 'object') tinymce.off?.('AddEditor', onAddEditor);
 			}
-		});
+		};
 	};
 
 	const modal = (() => {
@@ -1199,6 +4052,42 @@
 			});
 		};
 
+		/**
+		 * Asks the user to confirm an action.
+		 *
+		 * @param {string|Node} message - The question.
+		 * @param {object} [options] - The dialog options.
+		 * @param {string} [options.title='Are you sure?'] - The title.
+		 * @param {string} [options.confirmText='Continue'] - The text of the confirm button.
+		 * @param {string} [options.cancelText='Cancel'] - The text of the cancel button.
+		 * @param {string} [options.status='warning'] - The status color of the modal.
+		 * @returns {Promise<boolean>} Resolves with true when the user confirms, false when the modal is dismissed.
+		 */
+		const confirm = (message, { title = 'Are you sure?', confirmText = 'Continue', cancelText = 'Cancel', status = 'warning' } = {}) =>
+			new Promise(resolve => {
+				let confirmed = false;
+
+				const content = createElements('div', { class: 'text-center py-2' }, [
+					createElements('i', { class: 'ti ti-alert-circle text-warning', style: 'font-size: 50px' }, []),
+					createElements('h3', { class: 'mt-2 mb-2' }, [document.createTextNode(title)]),
+					createElements('div', { class: 'message-container mb-3' }, [message]),
+					createElements('div', { class: 'd-flex gap-2 justify-content-center' }, [
+						createElements('button', { type: 'button', class: 'btn btn-outline-secondary', 'data-bs-dismiss': 'modal' }, [cancelText]),
+						createElements('button', { type: 'button', class: 'btn btn-primary', 'data-eo-confirm': '' }, [confirmText])
+					])
+				]);
+
+				content.querySelector('[data-eo-confirm]').addEventListener('click', () => {
+					confirmed = true;
+					bootstrap.Modal.getInstance(content.closest('.modal'))?.hide();
+					resolve(true);
+				});
+
+				create({ id: 'modalConfirm', size: 'sm', status, centered: true, callback: () => content });
+
+				content.closest('.modal').addEventListener('hidden.bs.modal', () => confirmed || resolve(false), { once: true });
+			});
+
 		const alert = (() => {
 			const _create = (element, status = 'info') => {
 				create({
@@ -1274,7 +4163,8 @@
 				_handleModalClose();
 			},
 			create,
-			alert
+			alert,
+			confirm
 		};
 	})();
 
@@ -1500,7 +4390,10 @@
 		 * @returns {Promise<void>} - A promise that resolves when all the files have been uploaded.
 		 */
 		const _uploadFilesSequentially = async (files, previewContainer, url, inputName, multiple, onBeforeSend, onSuccess, onError) => {
-			for (let file of files) await uploadFile(file, previewContainer, url, inputName, multiple, onBeforeSend, onSuccess, onError);
+			for (let file of files) {
+				// The failure is already shown in the preview and passed to onError, so carry on with the next file.
+				await uploadFile(file, previewContainer, url, inputName, multiple, onBeforeSend, onSuccess, onError).catch(() => {});
+			}
 		};
 
 		/**
@@ -1514,39 +4407,38 @@
 		 * @param {Function} [onBeforeSend] - Callback function to be called before the upload request is sent.
 		 * @param {Function} [onSuccess] - Callback function to be called when the upload is successful.
 		 * @param {Function} [onError] - Callback function to be called when the upload fails.
-		 * @returns {Promise<void>} - A promise that resolves when the upload is complete.
+		 * @returns {Promise<void>} - A promise that resolves when the upload is complete, and rejects with the typed
+		 *                            request error (see `_requestError`) when it fails.
 		 */
 		const uploadFile = (file, previewContainer, url, inputName, multiple, onBeforeSend, onSuccess, onError) => {
-			return new Promise((resolve) => {
-				const fileContainer = document.querySelector(multiple ? `.${CSS.escape(file.id)}` : '.photo-preview');
-				const formData = new FormData();
-				formData.append(multiple ? `${inputName}[]` : inputName, file);
-				if (CSRFToken) formData.append('csrf_token', CSRFToken);
-
-				post(url, formData, {
-					contentType: null,
-					beforeSend: () => onBeforeSend?.() === false ? false : null,
-					onSuccess: (response) => {
-						fileContainer.style.opacity = '1';
-						document.querySelector(`#${CSS.escape(file.id)} .spinner-container`)?.remove();
-						onSuccess?.(response, file, fileContainer);
-						_createUploadHiddenInput(multiple, fileContainer, previewContainer, file.id, file);
-						resolve();
-					},
-					onError: (error) => {
-						onError?.(error, fileContainer);
-						Object.assign(fileContainer.style, { opacity: '1', backgroundImage: '' });
-						document.querySelector(`#${CSS.escape(file.id)} .spinner-container`)?.remove();
-
-						fileContainer.appendChild(
-							createElements('div', { }, [
-								createElements('p', { class: 'p-2 text-danger' }, [error.toString()])
-							])
-						);
-						resolve();
-					}
-				});
-			});
+			const fileContainer = document.querySelector(multiple ? `.${CSS.escape(file.id)}` : '.photo-preview');
+			const formData = new FormData();
+			formData.append(multiple ? `${inputName}[]` : inputName, file);
+			if (csrf.get()) formData.append(csrf.fieldName(), csrf.get());
+
+			return post(url, formData, {
+				contentType: null,
+				// The hidden input is created from the server response, so uploads are never queued offline.
+				offline: false,
+				beforeSend: () => onBeforeSend?.() === false ? false : null,
+				onSuccess: (response) => {
+					fileContainer.style.opacity = '1';
+					document.querySelector(`#${CSS.escape(file.id)} .spinner-container`)?.remove();
+					onSuccess?.(response, file, fileContainer);
+					_createUploadHiddenInput(multiple, fileContainer, previewContainer, file.id, file);
+				},
+				onError: (message, errors, status, error) => {
+					onError?.(error, fileContainer);
+					Object.assign(fileContainer.style, { opacity: '1', backgroundImage: '' });
+					document.querySelector(`#${CSS.escape(file.id)} .spinner-container`)?.remove();
+
+					fileContainer.appendChild(
+						createElements('div', { }, [
+							createElements('p', { class: 'p-2 text-danger' }, [message])
+						])
+					);
+				}
+			}).then(() => {});
 		};
 
 		/**
@@ -1980,107 +4872,721 @@
 			};
 		};
 
-		return {
-			_initBeforeLoad: _calculateMortgageOnChange,
-			init: () => {
-				_createDownPaymentSelection();
-				_createInterestSelection();
-				_createYearsSelection();
-				_calculateMortgage();
-			}
+		return {
+			_initBeforeLoad: _calculateMortgageOnChange,
+			init: () => {
+				_createDownPaymentSelection();
+				_createInterestSelection();
+				_createYearsSelection();
+				_calculateMortgage();
+			}
+		};
+	})();
+
+	const validator = function() {
+		let _constraints = {};
+		let _errors = [];
+		let _errorEntries = [];
+		let _summaryId = 0;
+
+		/**
+		 * Validates the given data against the given rules.
+		 *
+		 * Rules may return a Promise (e.g. `remote`), which is detected and awaited automatically.
+		 * Always await the result: a Promise is truthy even when validation fails.
+		 *
+		 * Field paths use dot or bracket notation (`names.first`, `names[first]`) and resolve against nested
+		 * objects as well as flat form keys. A `*` or `[]` segment (`items.*.qty`, `contacts[].email`) applies
+		 * the rules to every element, and errors are reported per concrete path (`items.2.qty`).
+		 *
+		 * @param {Object} data The object to validate.
+		 * @param {Object} [rules] The validation rules. If omitted, previously set _constraints are used.
+		 * @param {Object} [options] The validation options.
+		 * @param {Object} [options.labels] Field labels by path, used for {field} in messages.
+		 * @param {Object} [options.messages] Message overrides keyed by 'field.rule' or 'rule'.
+		 * @param {HTMLElement} [options.form] The element in which the inputs of the fields are looked up. Defaults to the document.
+		 * @returns {Promise<Boolean>} true if validation passes, false if validation fails (_errors can be retrieved using getErrors()).
+		 */
+		const validate = async (data, rules = _constraints, options = {}) => {
+			if (typeof rules !== 'object') throw new Error('rules must be an object.');
+			if (typeof data !== 'object' || data instanceof FormData) throw new Error('data must be an object. Use eo.serializeFormData(data) instead.');
+
+			const results = await _run(data, rules, options);
+			_mark(results);
+
+			_errorEntries = results.flatMap(result => result.errors);
+			_errors = _errorEntries.map(entry => _escapeHTML(entry.message));
+
+			return _errors.length === 0;
+		};
+
+		/**
+		 * Runs the rules against the data without touching the DOM.
+		 * @param {Object} data The object to validate.
+		 * @param {Object} rules The validation rules.
+		 * @param {Object} options The validate options (labels, messages, form).
+		 * @returns {Promise<Array<Object>>} One result per concrete field: { field, input, errors }.
+		 */
+		const _run = async (data, rules, options = {}) => {
+			const results = [];
+
+			for (const [pattern, ruleset] of Object.entries(_withConditions(rules, options.form))) {
+				const segments = _segments(pattern);
+				const isWildcard = segments.includes('*');
+
+				for (const path of _expand(data, segments)) {
+					const field = path.join('.');
+					const value = _lookup(data, path);
+					const input = _findInput(path, options.form, isWildcard);
+					const errors = [];
+
+					// Fields hidden or disabled by formConditions are not submitted, so their rules do not apply.
+					if (input?.closest('[data-eo-hidden]') || input?.hasAttribute('data-eo-disabled')) {
+						results.push({ field, input, errors });
+						continue;
+					}
+
+					// Cross-field rules inside a wildcard refer to the same element: items.*.end → items.*.start.
+					const keys = path.filter((_, i) => segments[i] === '*');
+					const getValue = (other) => {
+						let index = 0;
+						return _lookup(data, _segments(other).map(segment => segment === '*' ? keys[index++] : segment));
+					};
+
+					for (const [rule, param] of Object.entries(ruleset)) {
+						const validatorFn = _validators[rule];
+						if (!validatorFn) continue;
+
+						const ruleParam = typeof param === 'object' && param.required !== undefined ? param.required : param;
+
+						const result = validatorFn(value, ruleParam, { field, data, getValue });
+						const isValid = typeof result?.then === 'function' ? await result : result;
+						if (!isValid) {
+							const message = _message(field, rule, param, ruleParam, options, pattern);
+							errors.push({ field, pattern, rule, message, params: ruleParam });
+						}
+					}
+
+					results.push({ field, input, errors });
+				}
+			}
+
+			return results;
+		};
+
+		/**
+		 * Adds a `required` rule for the fields that formConditions currently requires (`data-eo-required`).
+		 * @param {Object} rules The validation rules.
+		 * @param {HTMLElement} [root] The form.
+		 * @returns {Object} The rules, including the conditional `required` rules.
+		 */
+		const _withConditions = (rules, root) => {
+			const fields = root?.querySelectorAll ? [...root.querySelectorAll('[data-eo-required][name]')] : [];
+			if (!fields.length) return rules;
+
+			const merged = { ...rules };
+			fields.forEach(el => {
+				const name = el.name.replace(/\[\]$/, '');
+				const path = _segments(name).join('.');
+				const key = Object.keys(merged).find(pattern => _segments(pattern).join('.') === path) ?? name;
+				merged[key] = { ...merged[key], required: true };
+			});
+
+			return merged;
+		};
+
+		/**
+		 * Marks the inputs of validation results. An input shows the first failed rule of its field.
+		 * @param {Array<Object>} results The results of `_run`.
+		 * @param {Object} [options] The marking options.
+		 * @param {function} [options.filter] Called with each result. Returning false leaves its input untouched.
+		 * @param {Boolean} [options.markValid=false] Whether to add `is-valid` to the inputs of valid fields.
+		 */
+		const _mark = (results, { filter = () => true, markValid = false } = {}) => {
+			results.filter(filter).forEach(({ input, errors }) => {
+				_clearFieldError(input);
+
+				if (errors.length) _showFieldError(input, errors[0].message);
+				else if (markValid) input?.classList.add('is-valid');
+			});
+		};
+
+		/**
+		 * Splits a field path in dot or bracket notation into segments. `*` and `[]` become '*'.
+		 * @param {String} path The field path, e.g. 'items.*.qty', 'contacts[].email' or 'names[first]'.
+		 * @returns {Array<String>} The segments.
+		 */
+		const _segments = (path) =>
+			(String(path).match(/\[\]|[^.[\]]+/g) || []).map(segment => segment === '[]' ? '*' : segment);
+
+		const _bracketName = (segments) =>
+			segments[0] + segments.slice(1).map(segment => `[${segment}]`).join('');
+
+		const _escapeRegExp = (text) =>
+			text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+		/**
+		 * Retrieves the value at a path. Nested objects are looked up first, then flat keys in bracket
+		 * notation (`names[first]`, as sent by forms) and in dot notation (`names.first`).
+		 * @param {Object} data The object to retrieve the value from.
+		 * @param {Array<String>} segments The path segments.
+		 * @returns {*} The value, or undefined if the path does not exist.
+		 */
+		const _lookup = (data, segments) => {
+			const nested = segments.reduce((obj, key) => obj?.[key], data);
+			if (nested !== undefined || segments.length < 2) return nested;
+
+			const bracket = _bracketName(segments);
+			return bracket in data ? data[bracket] : data[segments.join('.')];
+		};
+
+		/**
+		 * Expands the wildcard segments of a path into the concrete paths found in the data.
+		 * @param {Object} data The data being validated.
+		 * @param {Array<String>} segments The path segments.
+		 * @returns {Array<Array<String>>} The concrete paths. A path without wildcards is returned as is.
+		 */
+		const _expand = (data, segments) => {
+			const index = segments.indexOf('*');
+			if (index === -1) return [segments];
+
+			const prefix = segments.slice(0, index);
+			const container = prefix.length ? _lookup(data, prefix) : data;
+
+			let keys;
+			if (container !== null && typeof container === 'object') {
+				keys = Object.keys(container);
+			} else {
+				// Flat form keys: items[0][qty] or items.0.qty
+				const patterns = [
+					new RegExp(`^${_escapeRegExp(_bracketName(prefix))}\\[([^\\]]*)\\]`),
+					new RegExp(`^${_escapeRegExp(prefix.join('.'))}\\.([^.[]+)`)
+				];
+
+				keys = [...new Set(Object.keys(data).flatMap(key => patterns.map(regex => key.match(regex)?.[1]).filter(key => key !== undefined)))];
+			}
+
+			return keys.flatMap(key => _expand(data, [...prefix, key, ...segments.slice(index + 1)]));
+		};
+
+		/**
+		 * Finds the input of a concrete field path: by name in bracket notation (`items[2][qty]`), by name in dot
+		 * notation, as the n-th of repeated unindexed names (`contacts[][email]`), and finally by the id of
+		 * the last segment, unless the path comes from a wildcard.
+		 * @param {Array<String>} path The concrete path segments.
+		 * @param {HTMLElement} [root] The element to search in. Defaults to the document.
+		 * @param {Boolean} [isWildcard] Whether the path comes from a wildcard rule.
+		 * @returns {HTMLElement|null} The input.
+		 */
+		const _findInput = (path, root = document, isWildcard = false) => {
+			const named = (name) => root.querySelectorAll(`[name="${_escapeAttribute(name)}"]`);
+			const bracket = _bracketName(path);
+
+			const input = named(bracket)[0] || named(`${bracket}[]`)[0] || named(path.join('.'))[0];
+			if (input) return input;
+
+			const numeric = path.findIndex((segment, i) => i > 0 && /^\d+$/.test(segment));
+			if (numeric !== -1) {
+				const repeated = named(_bracketName(path.map((segment, i) => i === numeric ? '' : segment)));
+				if (repeated[path[numeric]]) return repeated[path[numeric]];
+			}
+
+			return isWildcard ? null : document.getElementById(_lastSegment(path.join('.')));
+		};
+
+		// A concrete path with an index comes from a wildcard, so the id of its last segment is ambiguous.
+		const _hasIndex = (segments) =>
+			segments.some(segment => /^\d+$/.test(segment));
+
+		/**
+		 * Creates an error bag from error entries.
+		 *
+		 * Fields are concrete paths (`items.1.qty`). `has`, `first` and `get` also accept the path as written
+		 * in the rules (`items.*.qty`). Messages are not HTML-escaped.
+		 *
+		 * @param {Array<Object>} entries The errors: { field, pattern, rule, message, params }.
+		 * @returns {Object} The error bag.
+		 */
+		const _createErrorBag = (entries) => {
+			const matches = (entry, field) => entry.field === field || entry.pattern === field;
+
+			return {
+				has: (field) => field === undefined ? entries.length > 0 : entries.some(entry => matches(entry, field)),
+				first: (field) => (field === undefined ? entries[0] : entries.find(entry => matches(entry, field)))?.message,
+				get: (field) => entries.filter(entry => matches(entry, field)).map(entry => entry.message),
+				all: () => entries.map(entry => entry.message),
+				fields: () => [...new Set(entries.map(entry => entry.field))],
+				entries: () => entries.map(({ field, rule, message, params }) => ({ field, rule, message, params })),
+				count: () => entries.length,
+				toJSON: () => entries.reduce((json, { field, rule, message, params }) => {
+					json[field] = json[field] || [];
+					json[field].push({ rule, message, params });
+					return json;
+				}, {})
+			};
+		};
+
+		/**
+		 * Creates an accessible error summary: a titled list of the errors, with links that focus the invalid inputs.
+		 *
+		 * The links keep working when the summary is rendered as HTML (e.g. by `alert.error` or `modal.alert.error`),
+		 * since clicks are handled by a delegated listener. A link inside a modal closes the modal first.
+		 *
+		 * @param {Object} [errors] The error bag. Defaults to the errors of the last validation.
+		 * @param {Object} [options] The summary options.
+		 * @param {String|null} [options.title] The title. Defaults to the 'summary' message of the locale. null omits it.
+		 * @param {HTMLElement} [options.form] The element in which the inputs are looked up.
+		 * @returns {HTMLElement} The summary element.
+		 */
+		const summary = (errors = _createErrorBag(_errorEntries), { title = _catalogMessage('summary'), form } = {}) => {
+			const titleId = `eo-error-summary-title-${++_summaryId}`;
+
+			const items = errors.entries().map(({ field, message }) => {
+				const segments = _segments(field);
+				const input = _findInput(segments, form || document, _hasIndex(segments));
+
+				return createElements('li', {}, [
+					createElements('a', {
+						href: input?.id ? `#${input.id}` : '#',
+						'data-eo-error-field': field,
+						...(form?.id ? { 'data-eo-error-form': form.id } : {})
+					}, [message])
+				]);
+			});
+
+			return createElements('div', {
+				class: 'eo-error-summary',
+				role: 'alert',
+				tabindex: '-1',
+				...(title ? { 'aria-labelledby': titleId } : { 'aria-label': _catalogMessage('summary') })
+			}, [
+				...(title ? [createElements('p', { class: 'eo-error-summary-title fw-bold mb-1', id: titleId }, [title])] : []),
+				createElements('ul', { class: 'mb-0' }, items)
+			]);
+		};
+
+		document.addEventListener('click', (event) => {
+			const link = event.target.closest?.('.eo-error-summary a[data-eo-error-field]');
+			if (!link) return;
+
+			event.preventDefault();
+
+			const root = document.getElementById(link.dataset.eoErrorForm) || document;
+			const segments = _segments(link.dataset.eoErrorField);
+			const input = _findInput(segments, root, _hasIndex(segments));
+			if (!input) return;
+
+			const focus = () => _focusInput(input);
+
+			// A modal keeps the focus inside itself, so the input is focused once it is hidden.
+			const modalElement = link.closest('.modal');
+			const instance = modalElement && bootstrap.Modal.getInstance(modalElement);
+			if (instance) {
+				modalElement.addEventListener('hidden.bs.modal', focus, { once: true });
+				instance.hide();
+			} else {
+				focus();
+			}
+		});
+
+		const _focusInput = (input) => {
+			input.scrollIntoView?.({ block: 'center' });
+			input.focus();
+		};
+
+		const _serverInputs = new WeakMap();
+
+		/**
+		 * Shows errors returned by the server on the inputs of a form, as client-side validation does.
+		 *
+		 * Field names may be in dot (`items.0.qty`) or bracket (`items[0][qty]`) notation. Each input shows the
+		 * first message of its field. The markers of the previous call on the same form are cleared first.
+		 *
+		 * @param {Object|Array<Object>} errors The errors: { [field]: message|messages } or [{ field, message }].
+		 * @param {Object} [options] The options.
+		 * @param {HTMLElement} [options.form] The element in which the inputs are looked up. Defaults to the document.
+		 * @param {Boolean} [options.focus=true] Whether to focus the first invalid input of the form.
+		 * @returns {Object} The error bag of the errors.
+		 */
+		const showErrors = (errors, { form = document, focus = true } = {}) => {
+			clearErrors(form);
+
+			const entries = (Array.isArray(errors)
+				? errors.map(({ field, message }) => ({ field, message }))
+				: Object.entries(errors || {}).flatMap(([field, messages]) => [].concat(messages).map(message => ({ field, message })))
+			).map(({ field, message }) => ({ field: _segments(field).join('.'), pattern: field, rule: 'server', message: String(message), params: null }));
+
+			const inputs = [];
+			entries.forEach(({ field, message }) => {
+				const segments = _segments(field);
+				const input = _findInput(segments, form, _hasIndex(segments));
+				if (!input || inputs.includes(input)) return;
+
+				_showFieldError(input, message);
+				inputs.push(input);
+			});
+
+			_serverInputs.set(form, inputs);
+
+			// The first invalid input in document order, not in the order of the payload.
+			const [first] = [...inputs].sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+			if (focus && first) _focusInput(first);
+
+			return _createErrorBag(entries);
+		};
+
+		/**
+		 * Clears the markers added by `showErrors`.
+		 * @param {HTMLElement} [form] The element passed to `showErrors`. Defaults to the document.
+		 */
+		const clearErrors = (form = document) => {
+			_serverInputs.get(form)?.forEach(_clearFieldError);
+			_serverInputs.delete(form);
+		};
+
+		const _isEmpty = (value) =>
+			value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+		/**
+		 * Normalizes the parameter of a conditional rule, given as { field, value } or [field, ...values].
+		 * @param {Object|Array} param The rule parameter.
+		 * @returns {{field: String, values: Array<String>}} The other field and the values to compare with.
+		 */
+		const _condition = (param) => {
+			const { field, value } = Array.isArray(param) ? { field: param[0], value: param.slice(1) } : param;
+			return { field, values: [].concat(value).map(String) };
+		};
+
+		/**
+		 * Compares two dates. The other side is a field path, or a date when no such field exists.
+		 * @param {*} value The value of the field being validated.
+		 * @param {String} other The field path or date to compare with.
+		 * @param {function} getValue Resolves a field path.
+		 * @param {function} compare Called with the two timestamps.
+		 * @returns {Boolean} The comparison result. Empty or unresolvable values pass, `required` and `date` cover them.
+		 */
+		const _compareDates = (value, other, getValue, compare) => {
+			if (_isEmpty(value)) return true;
+
+			const otherValue = getValue(other) ?? other;
+			if (_isEmpty(otherValue)) return true;
+
+			const a = value instanceof Date ? value.getTime() : Date.parse(value);
+			const b = otherValue instanceof Date ? otherValue.getTime() : Date.parse(otherValue);
+			return isNaN(a) || isNaN(b) ? false : compare(a, b);
+		};
+
+		/**
+		 * Retrieves the last segment of a field path.
+		 * @param {string} field The field path in dot or bracket notation.
+		 * @returns {string} The last segment of the field name.
+		 */
+		const _lastSegment = (field) =>
+			_segments(field).pop();
+
+		/**
+		 * Formats the last segment of a field path (dot or bracket notation) as a label, by replacing underscores
+		 * and camelCase humps with spaces and capitalizing the first letter of each word.
+		 * @param {String} name The field name to format.
+		 * @returns {String} The formatted field name.
+		 */
+		const _formatField = (name) => {
+			const fieldName = String(name).split(/[.[\]]+/).filter(Boolean).pop() || String(name);
+			return fieldName
+				.replace(/([a-z\d])([A-Z])/g, '$1 $2')
+				.replace(/_/g, ' ')
+				.replace(/\b\w/g, c => c.toUpperCase());
+		};
+
+		const _clearFieldError = (el) => {
+			if (!el) return;
+
+			el.classList.remove('is-invalid', 'is-valid');
+			el.removeAttribute('aria-invalid');
+			el.parentNode.querySelector('.invalid-feedback')?.remove();
+		};
+
+		const _showFieldError = (el, message) => {
+			if (!el) return;
+
+			el.classList.add('is-invalid');
+			el.setAttribute('aria-invalid', 'true');
+
+			// Remove existing feedback
+			const existing = el.parentNode.querySelector('.invalid-feedback');
+			if (existing) existing.remove();
+
+			// Create feedback element using eo.createElements
+			const feedback = createElements('div', {
+				class: 'invalid-feedback',
+				role: 'alert',
+				'aria-live': 'polite'
+			}, [message]);
+
+			// Insert after input
+			el.parentNode.insertBefore(feedback, el.nextSibling);
+		};
+
+		const _bindings = new WeakMap();
+
+		const _formElement = (formOrSelector) =>
+			typeof formOrSelector === 'string' ? document.querySelector(formOrSelector) : formOrSelector;
+
+		/**
+		 * Validates a form live, as the user interacts with it.
+		 *
+		 * Every interaction validates the whole form, so form-level validity and cross-field rules stay up to date,
+		 * but only the fields the user has interacted with are marked (`is-invalid`/`is-valid` and `.invalid-feedback`).
+		 * The result of a run is dropped if a newer run started while its async rules were pending.
+		 *
+		 * @param {HTMLFormElement|String} formOrSelector The form, or its CSS selector.
+		 * @param {Object} rules The validation rules.
+		 * @param {Object} [options] The binding options, plus the `labels` and `messages` options of `validate`.
+		 * @param {String|Array<String>} [options.on='blur'] The event(s) that validate a field: 'blur', 'input' or 'change'.
+		 * @param {Number} [options.debounce] The delay in milliseconds before validating. Defaults to 300 for 'input', 0 otherwise.
+		 * @param {function} [options.onValidityChange] Called with (valid, errorBag) when the validity of the form changes.
+		 * @returns {Object|null} The binding: { form, validate, isValid, errors, unbind }, or null if the form is not found.
+		 */
+		const bind = (formOrSelector, rules, { on = 'blur', debounce, onValidityChange, ...options } = {}) => {
+			const form = _formElement(formOrSelector);
+			if (!form) {
+				console.error(`Form '${formOrSelector}' not found!`);
+				return null;
+			}
+
+			unbind(form);
+
+			const events = [].concat(on);
+			const delay = debounce ?? (events.includes('input') ? 300 : 0);
+			const touched = new Set();
+			let touchedAll = false;
+			let results = [];
+			let valid = null;
+			let runs = 0;
+			let timer = null;
+
+			const check = async () => {
+				const run = ++runs;
+				const current = await _run(serializeFormData(form, { nested: true }), rules, { ...options, form });
+				if (run !== runs) return valid;
+
+				results = current;
+				_mark(results, {
+					filter: ({ input }) => input && (touchedAll || touched.has(input.name || input.id)),
+					markValid: true
+				});
+
+				const isValid = results.every(result => !result.errors.length);
+				if (isValid !== valid) {
+					valid = isValid;
+					const errors = _createErrorBag(results.flatMap(result => result.errors));
+					onValidityChange?.(valid, errors);
+					form.dispatchEvent(new CustomEvent('eo:validity', { detail: { valid, errors } }));
+				}
+
+				return valid;
+			};
+
+			const handler = (event) => {
+				const key = event.target.name || event.target.id;
+				if (!key) return;
+
+				touched.add(key);
+				clearTimeout(timer);
+				timer = setTimeout(check, delay);
+			};
+
+			// blur does not bubble, focusout does.
+			const types = events.map(type => type === 'blur' ? 'focusout' : type);
+			types.forEach(type => form.addEventListener(type, handler));
+
+			const binding = {
+				form,
+				validate: () => {
+					touchedAll = true;
+					clearTimeout(timer);
+					return check();
+				},
+				isValid: () => valid,
+				errors: () => _createErrorBag(results.flatMap(result => result.errors)),
+				unbind: () => unbind(form)
+			};
+
+			_bindings.set(form, {
+				binding,
+				teardown: () => {
+					clearTimeout(timer);
+					runs++;
+					types.forEach(type => form.removeEventListener(type, handler));
+					results.forEach(({ input }) => _clearFieldError(input));
+				}
+			});
+
+			// Computes the initial validity without marking untouched fields.
+			check();
+
+			return binding;
+		};
+
+		/**
+		 * Removes a live validation binding and clears the markers it added.
+		 * @param {HTMLFormElement|String} formOrSelector The form, or its CSS selector.
+		 */
+		const unbind = (formOrSelector) => {
+			const form = _formElement(formOrSelector);
+			if (!form || !_bindings.has(form)) return;
+
+			_bindings.get(form).teardown();
+			_bindings.delete(form);
 		};
-	})();
 
-	const validator = function() {
-		let _constraints = {};
-		let _errors = [];
+		const _remoteChecks = new Map();
 
 		/**
-		 * Validates the given data against the given rules.
-		 * @param {Object} data The object to validate.
-		 * @param {Object} [rules] The validation rules. If omitted, previously set _constraints are used.
-		 * @returns {Boolean} true if validation passes, false if validation fails (_errors can be retrieved using getErrors()).
+		 * Checks a value against a server endpoint with eo.get.
+		 *
+		 * Checks of the same field are debounced. A newer check aborts the request of an older one, and the
+		 * callers still waiting on the older check resolve with the result of the newer one. The last result
+		 * is reused while the value does not change.
+		 *
+		 * A 409 or 422 response fails the rule. Other failures (network errors, server errors) pass it with a
+		 * warning, since the server validates the submission again anyway.
+		 *
+		 * @param {string} field The field path, also the default query parameter name (its last segment).
+		 * @param {*} value The value to check.
+		 * @param {Object} options The rule parameter.
+		 * @param {string} options.url The endpoint to call.
+		 * @param {string} [options.key] The query parameter holding the value.
+		 * @param {Object} [options.data] Additional query parameters.
+		 * @param {number} [options.debounce=300] The debounce delay in milliseconds.
+		 * @param {function} [options.isValid] Called with the response data. Defaults to `data === true || data.valid === true`.
+		 * @returns {Promise<Boolean>} Whether the value is valid.
 		 */
-		const validate = async (data, rules = _constraints, isAsync = false) => {
-			if (typeof rules !== 'object') throw new Error('rules must be an object.');
-			if (typeof data !== 'object' || data instanceof FormData) throw new Error('data must be an object. Use eo.serializeFormData(data) instead.');
-			_errors = [];
-
-			for (const [field, ruleset] of Object.entries(rules)) {
-				const domField = _dotToBracket(field);
-				const value = _getValue(data, domField);
-				
-				for (const [rule, param] of Object.entries(ruleset)) {
-					const validatorFn = _validators[rule];
-					if (!validatorFn) continue;
-
-					const ruleParam = typeof param === 'object' && param.required !== undefined ? param.required : param;
-					const formatMessage = param?.format?.message;
-					const input = document.getElementById(_lastDotSegment(field));
-					if (input) input.classList.remove('is-invalid');
-
-					const isValid = isAsync ? await validatorFn(value, ruleParam) : validatorFn(value, ruleParam);
-					if (!isValid) {
-						if (input) input.classList.add('is-invalid');
-						const message = formatMessage || `${_formatField(field)} ${_errorMessages[rule](ruleParam)}`;
-
-						_showFieldError(_lastDotSegment(field), message);
-						_errors.push(_escapeHTML(message));
+		const _remote = (field, value, {
+			url,
+			key = _lastSegment(field),
+			data = {},
+			debounce = 300,
+			isValid = (response) => response === true || response?.valid === true
+		}) => {
+			if (value === null || value === undefined || value === '') return Promise.resolve(true);
+
+			const id = `${url} ${field}`;
+			const check = _remoteChecks.get(id) || { waiters: [] };
+			_remoteChecks.set(id, check);
+
+			if (check.value === value && check.result !== undefined && !check.waiters.length) return Promise.resolve(check.result);
+
+			clearTimeout(check.timer);
+			check.controller?.abort();
+			check.value = value;
+			check.result = undefined;
+
+			return new Promise(resolve => {
+				check.waiters.push(resolve);
+
+				check.timer = setTimeout(async () => {
+					const controller = check.controller = new AbortController();
+					const response = await get(url, { ...data, [key]: value }, null, 'json', { signal: controller.signal });
+
+					// A newer check aborted this one and took over the waiters.
+					if (controller.signal.aborted) return;
+
+					let valid = true;
+					if (response.success) {
+						valid = Boolean(isValid(response.data));
+						check.result = valid;
+					} else if ([409, 422].includes(response.status)) {
+						valid = false;
+						check.result = valid;
+					} else {
+						console.warn(`Remote validation of '${field}' failed, skipping the rule:`, response.error);
 					}
-				};
-			};
 
-			return _errors.length === 0;
+					check.controller = null;
+					check.waiters.splice(0).forEach(done => done(valid));
+				}, debounce);
+			});
 		};
 
 		/**
-		 * Retrieves the value of a nested property in an object.
-		 * @param {Object} data The object to retrieve the value from.
-		 * @param {String} field The dot-separated path to the nested property.
-		 * @returns {*} The value of the nested property, or undefined if the property does not exist.
+		 * Converts a date bound to a timestamp. 'today' is the start of the current day.
+		 * @param {String|Date|Number} date The date bound.
+		 * @returns {Number} The timestamp.
 		 */
-		const _getValue = (data, field) =>
-			field.split('.').reduce((obj, key) => obj?.[key], data);
-
-		const _dotToBracket = (field) =>
-  			field.replace(/\.(\w+)/g, '[$1]'); // names.firstname → names[firstname]
+		const _toTime = (date) => {
+			if (date === 'today') return new Date().setHours(0, 0, 0, 0);
+			return date instanceof Date ? date.getTime() : typeof date === 'number' ? date : Date.parse(date);
+		};
 
 		/**
-		 * Retrieves the last segment of a dot-separated field name.
-		 * @param {string} field The dot-separated field name.
-		 * @returns {string} The last segment of the field name.
+		 * Checks the inclusive min/max bounds of a date rule.
+		 * @param {Number} time The timestamp of the value.
+		 * @param {Object} param The rule parameter.
+		 * @returns {Boolean} Whether the date is within the bounds.
 		 */
-		const _lastDotSegment = (field) =>
-			field.split('.').pop();
+		const _withinDateBounds = (time, { min, max } = {}) =>
+			(min === undefined || time >= _toTime(min)) && (max === undefined || time <= _toTime(max));
 
 		/**
-		 * Formats a field name by replacing underscores with spaces and capitalizing the first letter of each word.
-		 * @param {String} name The field name to format.
-		 * @returns {String} The formatted field name.
+		 * Collects the selected files of a File, FileList or array value. The empty File of an input without selection is skipped.
+		 * @param {*} value The field value.
+		 * @returns {Array<File>} The files.
 		 */
-		const _formatField = (name) => {
-			const parts = name.split('.');
-			const fieldName = parts.pop();
-			return fieldName.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+		const _files = (value) => {
+			const list = value instanceof FileList || Array.isArray(value) ? [...value] : [value];
+			return list.filter(file => file instanceof File && (file.name !== '' || file.size > 0));
 		};
 
-		const _showFieldError = (fieldId, message) => {
-			const el = document.getElementById(fieldId);
-			if (!el) return;
+		/**
+		 * Checks whether a value comes from a file input: a File, a FileList or an array of files.
+		 * @param {*} value The field value.
+		 * @returns {Boolean} Whether the value holds files.
+		 */
+		const _isFileValue = (value) => value instanceof FileList || [].concat(value).some(item => item instanceof File);
 
-			// Remove existing feedback
-			const existing = el.parentNode.querySelector('.invalid-feedback');
-			if (existing) existing.remove();
+		/**
+		 * Checks a file against an allowlist of MIME types ('image/png', 'image/*') and extensions ('pdf', '.pdf').
+		 * @param {File} file The file.
+		 * @param {String|Array<String>} types The allowed types.
+		 * @returns {Boolean} Whether the file type is allowed.
+		 */
+		const _fileTypeAllowed = (file, types) => [].concat(types).some(type => {
+			type = type.toLowerCase();
+			if (type.includes('/')) return type.endsWith('/*') ? file.type.startsWith(type.slice(0, -1)) : file.type === type;
+			return file.name.toLowerCase().endsWith(`.${type.replace(/^\./, '')}`);
+		});
 
-			// Create feedback element using eo.createElements
-			const feedback = createElements('div', {
-				class: 'invalid-feedback',
-				role: 'alert',
-				'aria-live': 'polite'
-			}, [message]);
+		/**
+		 * Reads the natural size of an image file.
+		 * @param {File} file The image file.
+		 * @returns {Promise<{width: Number, height: Number}|null>} The size, or null if the file cannot be decoded.
+		 */
+		const _imageSize = (file) => new Promise(resolve => {
+			const url = URL.createObjectURL(file);
+			const image = new Image();
+			const done = (size) => {
+				URL.revokeObjectURL(url);
+				resolve(size);
+			};
 
-			// Insert after input
-			el.parentNode.insertBefore(feedback, el.nextSibling);
+			image.onload = () => done({ width: image.naturalWidth, height: image.naturalHeight });
+			image.onerror = () => done(null);
+			image.src = url;
+		});
+
+		const _ipv4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+
+		const _isIPv6 = (value) => {
+			if (!/^[\da-f:.]+$/i.test(value) || value.split('::').length > 2) return false;
+
+			const [head, tail = ''] = value.split('::');
+			const groups = [...(head ? head.split(':') : []), ...(tail ? tail.split(':') : [])];
+			const last = groups[groups.length - 1] || '';
+			const size = groups.length + (_ipv4.test(last) ? 1 : 0);
+
+			const valid = groups.every((group, i) => /^[\da-f]{1,4}$/i.test(group) || (i === groups.length - 1 && _ipv4.test(group)));
+			return valid && (value.includes('::') ? size < 8 : size === 8);
 		};
 
 		const _escapeHTML = (str) =>
@@ -2091,25 +5597,157 @@
 				.replace(/"/g, '&quot;')
 				.replace(/'/g, '&#039;');
 
+		/**
+		 * The English message catalog. A message is a template, or a function that returns a template from the
+		 * message parameters. Templates read the parameters as placeholders: {field} is the field label, and
+		 * the other placeholders come from the rule parameter (see `_messageParams`).
+		 */
 		const _errorMessages = {
-			required: () => 'is required.',
-			length: ({ min, max }) => `must be ${min ? `at least ${min} ` : ''} ${max ? `and at most ${max} ` : ''} characters.`,
-			number: ({ min, max }) => `must be a number${min ? ` greater than ${min}` : ''}${max ? ` and less than ${max}` : ''}.`,
-			url: () => 'is not a valid URL.',
-			email: () => 'is not a valid email address.',
-			date: () => 'is not a valid date.',
-			datetime: () => 'is not a valid datetime.',
-			equality: (param) => `must be equal to ${param}.`,
-			type: (param) => `must be of type ${param}.`
+			summary: 'Please correct the following errors:',
+			invalid: '{field} is not valid.',
+			required: '{field} is required.',
+			length: ({ min, max }) => `{field} must be ${min ? 'at least {min}' : ''}${min && max ? ' and ' : ''}${max ? 'at most {max}' : ''} characters.`,
+			number: ({ min, max, inclusive }) => `{field} must be a number${min !== undefined ? ` greater than ${inclusive ? 'or equal to ' : ''}{min}` : ''}${min !== undefined && max !== undefined ? ' and' : ''}${max !== undefined ? ` less than ${inclusive ? 'or equal to ' : ''}{max}` : ''}.`,
+			url: '{field} is not a valid URL.',
+			email: '{field} is not a valid email address.',
+			date: ({ min, max }) => `{field} is not a valid date${min !== undefined ? ' on or after {min}' : ''}${min !== undefined && max !== undefined ? ' and' : ''}${max !== undefined ? ' on or before {max}' : ''}.`,
+			datetime: ({ min, max }) => `{field} is not a valid datetime${min !== undefined ? ' on or after {min}' : ''}${min !== undefined && max !== undefined ? ' and' : ''}${max !== undefined ? ' on or before {max}' : ''}.`,
+			equality: '{field} must be equal to {value}.',
+			type: '{field} must be of type {value}.',
+			remote: '{field} is not valid.',
+			confirmed: '{field} confirmation does not match.',
+			requiredIf: '{field} is required when {other} is {values}.',
+			requiredUnless: '{field} is required unless {other} is {values}.',
+			requiredWith: '{field} is required when {others} is present.',
+			requiredWithout: '{field} is required when {others} is not present.',
+			different: '{field} must be different from {other}.',
+			before: '{field} must be a date before {other}.',
+			after: '{field} must be a date after {other}.',
+			pattern: '{field} format is invalid.',
+			in: '{field} must be one of: {values}.',
+			notIn: '{field} must not be one of: {values}.',
+			integer: '{field} must be an integer.',
+			alpha: '{field} may only contain letters.',
+			alphaNum: '{field} may only contain letters and numbers.',
+			phone: '{field} must be a valid phone number in international format, e.g. +14155552671.',
+			json: '{field} must be a valid JSON string.',
+			ip: ({ version }) => `{field} must be a valid ${version || 'IP'} address.`,
+			uuid: '{field} must be a valid UUID.',
+			fileSize: ({ min, max }) => `{field} must be ${min ? 'at least {min}' : ''}${min && max ? ' and ' : ''}${max ? 'at most {max}' : ''}.`,
+			fileType: '{field} must be a file of type: {values}.',
+			fileCount: ({ min, max }) => `{field} must have ${min ? 'at least {min}' : ''}${min && max ? ' and ' : ''}${max ? 'at most {max}' : ''} file(s).`,
+			dimensions: ({ minWidth, maxWidth, minHeight, maxHeight }) => {
+				const bounds = [
+					minWidth && 'at least {minWidth}px wide',
+					maxWidth && 'at most {maxWidth}px wide',
+					minHeight && 'at least {minHeight}px high',
+					maxHeight && 'at most {maxHeight}px high'
+				].filter(Boolean);
+
+				return `{field} must be an image ${bounds.join(', ')}.`;
+			}
+		};
+
+		const _catalogs = { en: _errorMessages };
+		let _locale = 'en';
+		let _labels = {};
+
+		/**
+		 * Builds the message parameters of rules whose parameter is not a plain object of values.
+		 * Any other rule gets the properties of an object parameter, or { value } for a scalar parameter.
+		 * Field paths are replaced by their labels, and the placeholders are the same in every locale.
+		 */
+		const _messageParams = {
+			requiredIf: (param, label) => {
+				const { field, values } = _condition(param);
+				return { other: label(field), values: values.join(', ') };
+			},
+			requiredUnless: (param, label) => {
+				const { field, values } = _condition(param);
+				return { other: label(field), values: values.join(', ') };
+			},
+			requiredWith: (param, label) => ({ others: [].concat(param).map(label).join(', ') }),
+			requiredWithout: (param, label) => ({ others: [].concat(param).map(label).join(', ') }),
+			different: (param, label) => ({ other: label(param) }),
+			before: (param, label) => ({ other: label(param) }),
+			after: (param, label) => ({ other: label(param) }),
+			in: (param) => ({ values: [].concat(param).join(', ') }),
+			notIn: (param) => ({ values: [].concat(param).join(', ') }),
+			fileType: (param) => ({ values: [].concat(param).join(', ') }),
+			fileSize: (param) => {
+				const { min, max } = typeof param === 'number' ? { max: param } : param;
+				return { min: min && formatFileSize(min), max: max && formatFileSize(max) };
+			},
+			fileCount: (param) => typeof param === 'number' ? { max: param } : param,
+			ip: (param) => ({ version: param === 'v4' ? 'IPv4' : param === 'v6' ? 'IPv6' : undefined })
+		};
+
+		const _interpolate = (template, params) =>
+			String(template).replace(/\{(\w+)\}/g, (match, key) => params[key] ?? match);
+
+		/**
+		 * Looks up a message in the current locale, then in its base language (de-CH → de), then in English.
+		 * @param {String} key The rule name.
+		 * @returns {String|function|undefined} The message.
+		 */
+		const _catalogMessage = (key) => {
+			const locales = [_locale, _locale.split('-')[0], 'en'];
+			return locales.map(locale => _catalogs[locale]?.[key]).find(message => message !== undefined);
+		};
+
+		/**
+		 * Reads the label of a field from the `<label for>` of its input.
+		 * @param {String} field The field path.
+		 * @param {HTMLElement} [root] The element in which the input is looked up.
+		 * @returns {String|null} The label text without a trailing colon or asterisk.
+		 */
+		const _domLabel = (field, root) => {
+			const segments = _segments(field);
+			const input = _findInput(segments, root, _hasIndex(segments));
+			const label = input?.labels?.[0] || document.querySelector(`label[for="${_escapeAttribute(_lastSegment(field))}"]`);
+			const text = label?.textContent.replace(/[\s*:]+$/, '').trim();
+			return text || null;
+		};
+
+		/**
+		 * Builds the error message of a failed rule.
+		 *
+		 * The message is, in order of precedence: the `format.message` (or `message`) of the rule parameter, the
+		 * `messages` option keyed by 'field.rule' or 'rule', and the catalog of the current locale.
+		 *
+		 * @param {String} field The field path.
+		 * @param {String} rule The rule name.
+		 * @param {*} param The rule parameter as written in the rules.
+		 * @param {*} ruleParam The rule parameter passed to the rule.
+		 * @param {Object} options The validate options (labels, messages, form).
+		 * @param {String} [pattern] The path as written in the rules, e.g. 'items.*.qty'. Labels and messages may be keyed by it.
+		 * @returns {String} The message.
+		 */
+		const _message = (field, rule, param, ruleParam, { labels = {}, messages = {}, form } = {}, pattern = field) => {
+			const label = (path) => labels[path] ?? _labels[path] ?? _domLabel(path, form) ?? _formatField(path);
+			const params = {
+				...(_messageParams[rule]?.(ruleParam, label) ?? (ruleParam !== null && typeof ruleParam === 'object' ? ruleParam : { value: ruleParam })),
+				field: labels[field] ?? _labels[field] ?? labels[pattern] ?? _labels[pattern] ?? label(field)
+			};
+
+			const template = param?.format?.message ?? param?.message
+				?? messages[`${field}.${rule}`] ?? messages[`${pattern}.${rule}`] ?? messages[rule]
+				?? _catalogMessage(rule) ?? _catalogMessage('invalid');
+
+			return _interpolate(typeof template === 'function' ? template(params) : template, params);
 		};
 
 		const _validators = {
-			required: (value, param) => param && (value !== null && value !== undefined && value !== ''),
+			required: (value, param) => param && (_isFileValue(value)
+				? _files(value).length > 0
+				: value !== null && value !== undefined && value !== ''),
 			length: (value, { min, max = 120 }) => typeof value === 'string' && value.length >= min && value.length <= max,
-			number: (value, { min, max = 9999 }) => {
+			number: (value, { min, max = 9999, inclusive = false }) => {
 				if (isNaN(value)) return false;
 				const num = parseFloat(value);
-				return (min === undefined || num > min) && (max === undefined || num < max);
+				return inclusive
+					? (min === undefined || num >= min) && (max === undefined || num <= max)
+					: (min === undefined || num > min) && (max === undefined || num < max);
 			},
 			url: (value, param) => {
 				if (param.format?.pattern) return param.format.pattern.test(value);
@@ -2121,29 +5759,125 @@
 			},
 			date: (value, param) => {
 				if (param.format?.pattern) return param.format.pattern.test(value);
-				return !isNaN(Date.parse(value))
+				const time = Date.parse(value);
+				return !isNaN(time) && _withinDateBounds(time, param);
 			},
 			datetime: (value, param) => {
 				if (param.format?.pattern) return param.format.pattern.test(value);
-				return !isNaN(new Date(value).getTime())
+				const time = new Date(value).getTime();
+				return !isNaN(time) && _withinDateBounds(time, param);
 			},
 			equality: (value, param) => value === param,
-			type: (value, param) => typeof value === param
+			type: (value, param) => typeof value === param,
+			remote: (value, param, { field }) => _remote(field, value, typeof param === 'string' ? { url: param } : param),
+			confirmed: (value, param, { field, getValue }) =>
+				value === getValue(typeof param === 'string' ? param : `${field}_confirmation`),
+			requiredIf: (value, param, { getValue }) => {
+				const { field, values } = _condition(param);
+				return !values.includes(String(getValue(field))) || !_isEmpty(value);
+			},
+			requiredUnless: (value, param, { getValue }) => {
+				const { field, values } = _condition(param);
+				return values.includes(String(getValue(field))) || !_isEmpty(value);
+			},
+			requiredWith: (value, param, { getValue }) =>
+				!_isEmpty(value) || [].concat(param).every(field => _isEmpty(getValue(field))),
+			requiredWithout: (value, param, { getValue }) =>
+				!_isEmpty(value) || [].concat(param).every(field => !_isEmpty(getValue(field))),
+			different: (value, param, { getValue }) => _isEmpty(value) || value !== getValue(param),
+			before: (value, param, { getValue }) => _compareDates(value, param, getValue, (a, b) => a < b),
+			after: (value, param, { getValue }) => _compareDates(value, param, getValue, (a, b) => a > b),
+			pattern: (value, param) => _isEmpty(value) || (param instanceof RegExp ? param : new RegExp(param)).test(value),
+			in: (value, param) => _isEmpty(value) || [].concat(value).every(item => [].concat(param).map(String).includes(String(item))),
+			notIn: (value, param) => _isEmpty(value) || [].concat(value).every(item => ![].concat(param).map(String).includes(String(item))),
+			integer: (value) => _isEmpty(value) || /^[-+]?\d+$/.test(String(value).trim()),
+			alpha: (value) => _isEmpty(value) || /^\p{L}+$/u.test(value),
+			alphaNum: (value) => _isEmpty(value) || /^[\p{L}\p{N}]+$/u.test(value),
+			phone: (value) => _isEmpty(value) || /^\+[1-9]\d{1,14}$/.test(String(value).replace(/[\s().-]/g, '')),
+			json: (value) => {
+				if (_isEmpty(value)) return true;
+				try {
+					JSON.parse(value);
+					return true;
+				} catch {
+					return false;
+				}
+			},
+			ip: (value, param) => {
+				if (_isEmpty(value)) return true;
+				if (param === 'v4') return _ipv4.test(value);
+				if (param === 'v6') return _isIPv6(value);
+				return _ipv4.test(value) || _isIPv6(value);
+			},
+			uuid: (value) => _isEmpty(value) || /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(value),
+			fileSize: (value, param) => {
+				const { min = 0, max = Infinity } = typeof param === 'number' ? { max: param } : param;
+				return _files(value).every(file => file.size >= min && file.size <= max);
+			},
+			fileType: (value, param) => _files(value).every(file => _fileTypeAllowed(file, param)),
+			fileCount: (value, param) => {
+				const { min = 0, max = Infinity } = typeof param === 'number' ? { max: param } : param;
+				const count = _files(value).length;
+				return count >= min && count <= max;
+			},
+			dimensions: async (value, { minWidth = 0, maxWidth = Infinity, minHeight = 0, maxHeight = Infinity }) => {
+				const sizes = await Promise.all(_files(value).map(_imageSize));
+				return sizes.every(size => size &&
+					size.width >= minWidth && size.width <= maxWidth &&
+					size.height >= minHeight && size.height <= maxHeight);
+			}
 		};
 
 		return {
 			validate,
 			getErrors: () => _errors,
+			getErrorBag: () => _createErrorBag(_errorEntries),
+			summary,
+			showErrors,
+			clearErrors,
+			bind,
+			unbind,
 			setConstraints: (rules) => (_constraints = rules),
 			resetConstraints: () => (_constraints = {}),
-			registerRule: (name, fn) => {
+			registerRule: (name, fn, message) => {
 				if (typeof name !== 'string' || typeof fn !== 'function') {
 					throw new Error('Invalid rule registration: name must be a string and fn must be a function.');
 				}
 				_validators[name] = fn;
+				if (message !== undefined) _errorMessages[name] = message;
 			},
 			unregisterRule: (name) => {
 				if (_validators[name]) delete _validators[name];
+			},
+
+			/**
+			 * Registers the messages of a locale, or extends an already registered locale.
+			 * @param {String} locale The locale, e.g. 'de' or 'pt-BR'.
+			 * @param {Object} messages Message templates (or functions returning templates) keyed by rule name.
+			 */
+			registerLocale: (locale, messages) => {
+				if (typeof locale !== 'string' || typeof messages !== 'object') {
+					throw new Error('Invalid locale registration: locale must be a string and messages must be an object.');
+				}
+				_catalogs[locale] = { ...(_catalogs[locale] || {}), ...messages };
+			},
+
+			/**
+			 * Sets the locale of the error messages. Missing messages fall back to the base language, then English.
+			 * @param {String} locale The locale.
+			 */
+			setLocale: (locale) => {
+				if (!_catalogs[locale] && !_catalogs[locale.split('-')[0]]) console.warn(`Validator locale '${locale}' is not registered, falling back to English.`);
+				_locale = locale;
+			},
+			getLocale: () => _locale,
+
+			/**
+			 * Sets field labels by path, used for {field} in every message. Labels passed to `validate` take precedence.
+			 * @param {Object} labels The labels.
+			 */
+			setLabels: (labels) => {
+				_labels = { ..._labels, ...labels };
 			}
 		};
 
@@ -2195,7 +5929,9 @@
 			localStorage.setItem('history', JSON.stringify(history));
 		}
 
-		function goBack() {
+		function goBack({ force = false } = {}) {
+			if (!force && _guardNavigation(() => goBack({ force: true }))) return;
+
 			if (history.length > 1) { // Prevent going back from the initial state
 				history.pop(); // Remove current state
 				const previousState = history[history.length - 1]; // Get the previous state
@@ -2269,19 +6005,436 @@
 		};
 	}();
 
+	/**
+	 * WebSocket listener.
+	 *
+	 * Each connection reconnects with exponential backoff and jitter when it drops, can detect dead
+	 * connections with ping/pong heartbeats, and buffers outgoing messages while it is disconnected.
+	 * Connections are named, so several of them (e.g. notifications and chat) can be open at the same time.
+	 */
 	const listener = (() => {
-		let socket;
+		const _defaults = {
+			name: 'default',
+			reconnect: true,
+			delay: 1000,
+			maxDelay: 30000,
+			jitter: 0.5,
+			maxAttempts: Infinity,
+			heartbeat: false,
+			bufferSize: 100,
+			protocols: undefined,
+			topicKey: 'topic',
+			idKey: 'id',
+			requestTimeout: 10000,
+			subscribeMessage: (topic) => ({ type: 'subscribe', topic }),
+			unsubscribeMessage: (topic) => ({ type: 'unsubscribe', topic })
+		};
+
+		const _heartbeatDefaults = {
+			interval: 30000,
+			timeout: 10000,
+			message: { type: 'ping' },
+			isPong: (data) => data?.type === 'pong'
+		};
+
+		const _events = ['message', 'open', 'close', 'error', 'reconnect'];
+		const _connections = new Map();
+
+		/**
+		 * Parses an incoming frame. Text frames are parsed as JSON when possible, binary frames are passed as is.
+		 * @param {*} data - The frame data.
+		 * @returns {*} The parsed data.
+		 */
+		const _parse = (data) => typeof data === 'string' ? _parseData(data) : data;
+
+		/**
+		 * Serializes an outgoing message. Binary data is sent as is, anything else as JSON.
+		 * @param {*} data - The message.
+		 * @returns {*} The frame data.
+		 */
+		const _serialize = (data) => data instanceof Blob || data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+			? data
+			: JSON.stringify(data);
+
+		/**
+		 * Opens a WebSocket connection that reconnects until it is closed.
+		 * @param {string} url - The WebSocket URL.
+		 * @param {object} options - The connection options (see `create`).
+		 * @returns {object} The connection instance.
+		 */
+		const _connect = (url, options) => {
+			const config = { ..._defaults, ...options };
+			const heartbeat = config.heartbeat
+				? { ..._heartbeatDefaults, ...(typeof config.heartbeat === 'object' ? config.heartbeat : {}) }
+				: null;
+
+			let socket = null;
+			let closed = false;
+			let attempt = 0;
+			let reconnectTimer = null;
+			let pingTimer = null;
+			let pongTimer = null;
+			const buffer = [];
+			const handlers = Object.fromEntries(_events.map(event => [event, new Set()]));
+			const topics = new Map();
+			const pending = new Map();
+
+			const _emit = (event, ...args) => {
+				if (event === 'error' && !handlers.error.size) {
+					console.error(`Listener '${config.name}' error:`, ...args);
+					return;
+				}
+
+				handlers[event].forEach(handler => {
+					try {
+						handler(...args);
+					} catch (error) {
+						console.error(`Error in listener '${config.name}' ${event} handler:`, error);
+					}
+				});
+			};
+
+			const _stopHeartbeat = () => {
+				clearInterval(pingTimer);
+				clearTimeout(pongTimer);
+				pongTimer = null;
+			};
+
+			const _startHeartbeat = () => {
+				if (!heartbeat) return;
+
+				pingTimer = setInterval(() => {
+					if (socket?.readyState !== WebSocket.OPEN) return;
+
+					socket.send(_serialize(heartbeat.message));
+					if (pongTimer) return;
+
+					pongTimer = setTimeout(() => {
+						console.warn(`Listener '${config.name}' heartbeat timed out after ${heartbeat.timeout}ms, reconnecting.`);
+						_drop({ code: 4000, reason: 'Heartbeat timeout', wasClean: false });
+					}, heartbeat.timeout);
+				}, heartbeat.interval);
+			};
+
+			const _flush = () => {
+				while (buffer.length && socket?.readyState === WebSocket.OPEN) {
+					socket.send(buffer.shift());
+				}
+			};
+
+			const _rejectPending = (message) => {
+				pending.forEach(({ reject, timer }) => {
+					clearTimeout(timer);
+					reject(new Error(message));
+				});
+				pending.clear();
+			};
+
+			const _scheduleReconnect = () => {
+				attempt++;
+
+				if (!config.reconnect || attempt > config.maxAttempts) {
+					closed = true;
+					_rejectPending(`Listener '${config.name}' connection closed.`);
+					return;
+				}
+
+				const wait = Math.min(config.delay * 2 ** (attempt - 1), config.maxDelay) * (1 - config.jitter * Math.random());
+				_emit('reconnect', attempt, wait);
+				reconnectTimer = setTimeout(_open, wait);
+			};
+
+			// Detaches the socket and handles the disconnect, even if the browser never fires 'close' (dead connection).
+			const _drop = (event) => {
+				_stopHeartbeat();
+
+				if (socket) {
+					socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+					if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) socket.close();
+					socket = null;
+				}
+
+				_emit('close', event);
+				if (!closed) _scheduleReconnect();
+			};
+
+			const _dispatch = (data, event) => {
+				const id = data?.[config.idKey];
+				if (id !== undefined && pending.has(id)) {
+					const { resolve, reject, timer } = pending.get(id);
+					clearTimeout(timer);
+					pending.delete(id);
+
+					if (data.error) {
+						reject(Object.assign(new Error(data.error.message || String(data.error)), { data }));
+					} else {
+						resolve(data);
+					}
+					return;
+				}
+
+				const topic = data?.[config.topicKey];
+				if (topic !== undefined && topics.has(topic)) {
+					topics.get(topic).forEach(handler => {
+						try {
+							handler(data, event);
+						} catch (error) {
+							console.error(`Error in listener '${config.name}' handler for topic '${topic}':`, error);
+						}
+					});
+				}
+
+				_emit('message', data, event);
+			};
+
+			const _open = () => {
+				try {
+					socket = config.protocols ? new WebSocket(url, config.protocols) : new WebSocket(url);
+				} catch (error) {
+					_emit('error', error);
+					closed = true;
+					return;
+				}
+
+				socket.onopen = (event) => {
+					const reconnected = attempt > 0;
+					attempt = 0;
+					_startHeartbeat();
+
+					// Subscriptions live on the server side of the socket, so they are renewed on every connection.
+					topics.forEach((_, topic) => socket.send(_serialize(config.subscribeMessage(topic))));
+					_flush();
+					_emit('open', event, { reconnected });
+				};
+
+				socket.onmessage = (event) => {
+					// Any frame proves the connection is alive.
+					clearTimeout(pongTimer);
+					pongTimer = null;
+
+					const data = _parse(event.data);
+					if (heartbeat?.isPong(data)) return;
+
+					_dispatch(data, event);
+				};
+
+				socket.onerror = (event) => _emit('error', event);
+				socket.onclose = _drop;
+			};
+
+			/**
+			 * Sends a message, or buffers it until the connection is open.
+			 * @param {*} data - The message. Binary data is sent as is, anything else as JSON.
+			 * @returns {boolean} true if the message was sent immediately.
+			 */
+			const send = (data) => {
+				const frame = _serialize(data);
+
+				if (socket?.readyState === WebSocket.OPEN) {
+					socket.send(frame);
+					return true;
+				}
+
+				if (closed) {
+					console.warn(`Listener '${config.name}' is closed, message not sent.`);
+					return false;
+				}
+
+				if (buffer.length >= config.bufferSize) {
+					buffer.shift();
+					console.warn(`Listener '${config.name}' buffer is full (${config.bufferSize}), dropping the oldest message.`);
+				}
+
+				buffer.push(frame);
+				return false;
+			};
+
+			/**
+			 * Sends a message with a generated id and resolves with the reply that carries the same id.
+			 * @param {object} payload - The message.
+			 * @param {object} [options] - The request options.
+			 * @param {number} [options.timeout] - Rejects after the given milliseconds. Defaults to the requestTimeout option.
+			 * @returns {Promise<*>} The reply. Rejects if the reply has an `error` property, on timeout, or when the connection is closed.
+			 */
+			const request = (payload, { timeout = config.requestTimeout } = {}) => new Promise((resolve, reject) => {
+				if (closed) {
+					reject(new Error(`Listener '${config.name}' is closed.`));
+					return;
+				}
+
+				const id = payload?.[config.idKey] ?? uuidv4();
+				const timer = timeout > 0 ? setTimeout(() => {
+					pending.delete(id);
+					reject(Object.assign(new Error(`Listener request timed out after ${timeout}ms`), { name: 'TimeoutError' }));
+				}, timeout) : null;
+
+				pending.set(id, { resolve, reject, timer });
+				send({ ...payload, [config.idKey]: id });
+			});
+
+			/**
+			 * Subscribes to a topic. Messages whose topic key matches are passed to the handler.
+			 * @param {string} topic - The topic.
+			 * @param {function} handler - Called with (data, event).
+			 * @returns {function} A function that removes the handler.
+			 */
+			const subscribe = (topic, handler) => {
+				if (!topics.has(topic)) {
+					topics.set(topic, new Set());
+					if (socket?.readyState === WebSocket.OPEN) socket.send(_serialize(config.subscribeMessage(topic)));
+				}
+
+				topics.get(topic).add(handler);
+				return () => unsubscribe(topic, handler);
+			};
+
+			/**
+			 * Removes a topic handler, or every handler of the topic when `handler` is omitted.
+			 * The server is told to unsubscribe once the topic has no handlers left.
+			 * @param {string} topic - The topic.
+			 * @param {function} [handler] - The handler to remove.
+			 */
+			const unsubscribe = (topic, handler) => {
+				const set = topics.get(topic);
+				if (!set) return;
+
+				if (handler) set.delete(handler);
+				else set.clear();
+
+				if (set.size) return;
+
+				topics.delete(topic);
+				if (socket?.readyState === WebSocket.OPEN) socket.send(_serialize(config.unsubscribeMessage(topic)));
+			};
+
+			const on = (event, handler) => {
+				if (!handlers[event]) throw new Error(`Unknown listener event '${event}'.`);
+				handlers[event].add(handler);
+				return instance;
+			};
+
+			const off = (event, handler) => {
+				if (handler) handlers[event]?.delete(handler);
+				else handlers[event]?.clear();
+				return instance;
+			};
+
+			/**
+			 * Closes the connection and stops reconnecting. Pending requests are rejected.
+			 * @param {number} [code=1000] - The close code.
+			 * @param {string} [reason] - The close reason.
+			 */
+			const close = (code = 1000, reason = '') => {
+				closed = true;
+				clearTimeout(reconnectTimer);
+				_stopHeartbeat();
+				buffer.length = 0;
+				_rejectPending(`Listener '${config.name}' connection closed.`);
+
+				if (socket) {
+					socket.onclose = (event) => _emit('close', event);
+					socket.onopen = socket.onmessage = null;
+					socket.close(code, reason);
+					socket = null;
+				}
+
+				if (_connections.get(config.name) === instance) _connections.delete(config.name);
+			};
+
+			const instance = {
+				name: config.name,
+				send,
+				request,
+				subscribe,
+				unsubscribe,
+				on,
+				off,
+				close,
+				get readyState() {
+					return socket?.readyState ?? WebSocket.CLOSED;
+				},
+				get buffered() {
+					return buffer.length;
+				}
+			};
+
+			if (config.onMessage) on('message', config.onMessage);
+			if (config.onError) on('error', config.onError);
+			if (config.onOpen) on('open', config.onOpen);
+			if (config.onClose) on('close', config.onClose);
+			if (config.onReconnect) on('reconnect', config.onReconnect);
+
+			_open();
+
+			return instance;
+		};
 
-		const create = (url, onMessage, onError) => {
-			socket = new WebSocket(url);
-			socket.onmessage = (e) => onMessage(JSON.parse(e.data));
-			socket.onerror = onError || ((err) => console.error('Listener error:', err));
+		/**
+		 * Opens a named WebSocket connection. A previous connection with the same name is closed first.
+		 * @param {string} url - The WebSocket URL.
+		 * @param {object|function} [options] - The connection options, or the onMessage callback.
+		 * @param {string} [options.name='default'] - The connection name, used by `get`, `send` and `close`.
+		 * @param {function} [options.onMessage] - Called with (data, event) for each message. JSON frames are parsed, other frames are passed as is.
+		 * @param {function} [options.onError] - Called with the error event.
+		 * @param {function} [options.onOpen] - Called with (event, { reconnected }) each time the connection opens.
+		 * @param {function} [options.onClose] - Called with the close event each time the connection closes.
+		 * @param {function} [options.onReconnect] - Called with (attempt, delay) before reconnecting.
+		 * @param {boolean} [options.reconnect=true] - Whether to reconnect when the connection drops.
+		 * @param {number} [options.delay=1000] - The base reconnection delay in milliseconds.
+		 * @param {number} [options.maxDelay=30000] - The upper bound of the reconnection delay.
+		 * @param {number} [options.jitter=0.5] - A fraction between 0 and 1 used to randomize the delay.
+		 * @param {number} [options.maxAttempts=Infinity] - The maximum number of consecutive reconnection attempts.
+		 * @param {boolean|object} [options.heartbeat=false] - true or { interval, timeout, message, isPong } to send pings and
+		 *                                                   reconnect when nothing is received within `timeout`.
+		 * @param {number} [options.bufferSize=100] - The maximum number of messages kept while disconnected.
+		 * @param {string|string[]} [options.protocols] - The WebSocket sub-protocols.
+		 * @param {string} [options.topicKey='topic'] - The message property holding the topic.
+		 * @param {string} [options.idKey='id'] - The message property holding the request id.
+		 * @param {number} [options.requestTimeout=10000] - The default timeout of `request` in milliseconds.
+		 * @param {function} [options.subscribeMessage] - Builds the message sent when subscribing to a topic.
+		 * @param {function} [options.unsubscribeMessage] - Builds the message sent when unsubscribing from a topic.
+		 * @param {function} [onError] - The error callback, when the second argument is the onMessage callback.
+		 * @returns {object} The connection instance.
+		 */
+		const create = (url, options = {}, onError) => {
+			if (typeof options === 'function') options = { onMessage: options, onError };
+
+			const name = options.name ?? _defaults.name;
+			_connections.get(name)?.close();
+
+			const connection = _connect(url, { ...options, name });
+			_connections.set(name, connection);
+			return connection;
 		};
 
-		const send = (data) => socket?.send(JSON.stringify(data));
-		const close = () => socket?.close();
+		/**
+		 * Returns a named connection.
+		 * @param {string} [name='default'] - The connection name.
+		 * @returns {object|undefined} The connection instance.
+		 */
+		const get = (name = _defaults.name) => _connections.get(name);
+
+		/**
+		 * Sends a message on the default connection, or buffers it until the connection is open.
+		 * @param {*} data - The message. Binary data is sent as is, anything else as JSON.
+		 * @returns {boolean} true if the message was sent immediately.
+		 */
+		const send = (data) => get()?.send(data) ?? false;
+
+		/**
+		 * Closes a named connection and stops reconnecting.
+		 * @param {string} [name='default'] - The connection name.
+		 * @param {number} [code=1000] - The close code.
+		 * @param {string} [reason] - The close reason.
+		 */
+		const close = (name = _defaults.name, code, reason) => get(name)?.close(code, reason);
+
+		/**
+		 * Closes every connection.
+		 */
+		const closeAll = () => [..._connections.values()].forEach(connection => connection.close());
 
-		return { create, send, close };
+		return { create, get, send, close, closeAll };
 	})();
 
 
@@ -2289,6 +6442,8 @@
 		initBeforeLoad: function() {
 			mortgageCalculator._initBeforeLoad();
 			modal._initBeforeLoad();
+			offlineQueue._initBeforeLoad();
+			formConditions._initBeforeLoad();
 		},
 
 		initAfterLoad: () => {
@@ -2304,7 +6459,10 @@
 		getVersion: () => version,
 
 		userClient,
-		CSRFToken,
+		csrf,
+		get CSRFToken() {
+			return csrf.get();
+		},
 		moveHtmlElement,
 		createElements,
 		epochToTimeString,
@@ -2314,10 +6472,16 @@
 		getRandomChar,
 		getRandomNum,
 		formatCurrency,
+		retry,
 		serializeFormData,
+		fillForm,
 		getYoutubeVideoData,
+		http,
+		offlineQueue,
 		post,
 		get,
+		stream,
+		sse,
 		redirect,
 		objectToDotNotation,
 		dotNotationToObject,
@@ -2341,6 +6505,11 @@
 		listener,
 
 		submitForm,
+		wizard,
+		formDraft,
+		formGuard,
+		repeater,
+		formConditions,
 		uploader,
 		mortgageCalculator
 	};